@@ -13,7 +13,7 @@ export default {
   // Timestamp used at page load to determine whether to flush user's setting cache.
   //
   // IMPORTANT!!! You MUST update this value whenever this config file changes!!!
-  TIMESTAMP: 'Tue May 25 06:59:39 EST 2019',
+  TIMESTAMP: 'Tue Oct 20 14:05:31 EST 2026',
   ///////////////////////////////////////////
 
   //
@@ -32,6 +32,9 @@ export default {
       color: '#ffffff'
     }
   },
+  SearchBox: {
+    maxSuggestions: 10 // maximum number of genes suggested
+  },
   MGV: {
     defaultHash: 'regions=C57BL/6J::11:69552084..69621239/998|CAST/EiJ::11:69639374..69708529/998|H.%20sapiens::17:7644315..7713470/998&highlight=MGI:98834,HGNC:11998&lock=on&paralogs=off&style=gg:40,tg:6,fd:3,fl:1,ff:10,fh:10,tx:1,pl:1,tc:0,h:1,ho:0.05,hi:1,hc:0',
     genomeSets: [{
@@ -103,6 +106,16 @@ export default {
     featureFontSize: 10,
     transcriptFontSize: 10,
     sequenceFontSize: 10,
+    signalHeight: 30, // height in pixels of a signal (BigWig) track
+    signalColor: '#4682b4', // default color of signal tracks
+    showGenotypes: true, // show the per-sample genotype matrix for multi-sample VCF tracks
+    genotypeRowHeight: 6, // height in pixels of one sample row of the genotype matrix
+    genotypeColors: {
+      'hom ref': '#dddddd',
+      'het': '#4a90d9',
+      'hom alt': '#d0021b',
+      'no call': '#ffffff'
+    },
     detailThreshold: 3, // Mb
     detailThresholdLimit: 20, // Mb
     wheelTimeout: 300, // ms
@@ -110,6 +123,7 @@ export default {
     showFeatureLabels: true,
     showProteinLabels: true,
     showStartStopCodons: false,
+    annotationSets: {}, // label -> true, for each additional annotation set (eg, Ensembl) to show
     contrast: 0,
     currentFeature: {
       stroke: '#ffff00',
@@ -130,12 +144,21 @@ export default {
       G: 'red'
     }
   },
+  HomologyManager: {
+    // ignore orthology calls below this confidence: 0 = any call, 1 = best score or best reverse score, 2 = both
+    minConfidence: 0
+  },
   ZoomFiducials: {
     showConnectors: true,
     showAllConnectors: false,
     fillOpacity: 0.05,
     showInversions: true
   },
+  HomologyGroup: {
+    columnWidth: 130, // width of each genome's column of genes, including the gap
+    columnGap: 30, // gap between columns, where the connectors run
+    rowHeight: 20
+  },
   GenomeView: {
     openHeight: 250,
     closedHeight: 100
@@ -146,11 +169,23 @@ export default {
   GenomeSelector: {
   },
   CachingFetcher: {
-    dbName: DATACACHE_PREFIX + 'urls'
+    dbName: DATACACHE_PREFIX + 'urls',
+    metaDbName: DATACACHE_PREFIX + 'urls-meta', // size and last access time of each cache entry
+    quota: 500 // MB. When the cache grows beyond this, least recently used entries are evicted.
+  },
+  RequestQueue: {
+    maxActive: 6 // maximum number of network requests at once
+  },
+  DataSource: {
+    dbName: DATACACHE_PREFIX + 'data-sources', // the chosen data source, and the list of imported bundles
+    bundleDbName: DATACACHE_PREFIX + 'bundles' // the files of imported bundles
   },
   ListManager: {
     dbName: DATACACHE_PREFIX + 'user-lists'
   },
+  UserTrackManager: {
+    dbName: DATACACHE_PREFIX + 'user-tracks'
+  },
   Translator: {
     dbName: DATACACHE_PREFIX + 'blocks'
   },
@@ -160,7 +195,33 @@ export default {
     maxDownloadLength: 100000000
   },
   DataManager: {
-    featureSizeLimit: 10000000
+    featureSizeLimit: 10000000,
+    // Bases per line of the FASTA made in the browser (see DataManager.extractSequence). Should match the
+    // server's (fetch.cgi) output, so sequences look the same whichever of the two extracts them.
+    fastaLineLength: 60,
+    // Homology taxon (see DataManager.getHomologyTaxon) of genomes whose descriptors don't declare
+    // one, by genome name. The mouse strains, including the wild-derived and non-musculus ones (whose
+    // own taxons differ), use the mouse (10090) orthology data.
+    homologyTaxa: {
+      '129S1/SvImJ': '10090',
+      'A/J': '10090',
+      'AKR/J': '10090',
+      'BALB/cJ': '10090',
+      'C3H/HeJ': '10090',
+      'C57BL/6NJ': '10090',
+      'CAROLI/EiJ': '10090',
+      'CAST/EiJ': '10090',
+      'CBA/J': '10090',
+      'DBA/2J': '10090',
+      'FVB/NJ': '10090',
+      'LP/J': '10090',
+      'NOD/ShiLtJ': '10090',
+      'NZO/HlLtJ': '10090',
+      'PAHARI/EiJ': '10090',
+      'PWK/PhJ': '10090',
+      'SPRET/EiJ': '10090',
+      'WSB/EiJ': '10090'
+    }
   },
   PreferencesManager: {
     dbName: DATACACHE_PREFIX + 'user-prefs'
@@ -0,0 +1,52 @@
+import u from '@/lib/utils'
+
+// ---------------------------------------------------------------------
+// Queries against the Alliance of Genome Resources search API.
+// Config (see QueryRegistry):
+//   name (string) the provider's name, eg, "Alliance"
+//   url (string) optional. The Alliance's base url. Default: https://www.alliancegenome.org
+//   taxonid (string) optional. The taxon the provider serves (used for display and filtering)
+//   species (string) optional. Restrict results to this species, eg, "Mus musculus". Default: all species.
+//   limit (int) optional. Maximum number of results. Default: 500.
+class AllianceQueries {
+  constructor (cfg) {
+    this.name = cfg.name
+    this.taxonid = cfg.taxonid
+    this.url = (cfg.url || 'https://www.alliancegenome.org').replace(/\/$/, '')
+    this.species = cfg.species || null
+    this.limit = cfg.limit || 500
+  }
+  getQueries () {
+    const who = this.species || 'all Alliance species'
+    return [{
+      name: 'Gene search',
+      label: 'Search Alliance genes',
+      placeholder: 'Symbols, names, diseases, etc.',
+      helpText: `Returns IDs of genes (${who}) matching the search terms. Search the <a target="_blank" href="${this.url}">Alliance of Genome Resources</a>.`,
+      lookup: true,
+      handler: (val) => this.queryBySearch(val)
+    }, {
+      name: 'Disease',
+      label: 'Search Alliance genes by disease',
+      placeholder: 'Disease (DO) term or ID',
+      helpText: `Returns IDs of genes (${who}) associated with the specified disease.`,
+      handler: (val) => this.queryBySearch(val, 'diseases')
+    }]
+  }
+  // Runs a gene search. Returns a promise for the IDs of the matching genes.
+  // Args:
+  //   qryString (string) the search terms
+  //   field (string) optional. Restrict matching to this field (eg, "diseases")
+  queryBySearch (qryString, field) {
+    const q = encodeURIComponent(field ? `${field}:"${qryString}"` : qryString)
+    const url = `${this.url}/api/search?category=gene&limit=${this.limit}&q=${q}`
+    return u.fetch(url, 'json').then(data => {
+      return (data.results || [])
+        .filter(r => !this.species || r.species === this.species)
+        .map(r => r.primaryKey || r.id)
+        .filter(id => id)
+    })
+  }
+}
+
+export default AllianceQueries
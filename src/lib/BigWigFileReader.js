@@ -0,0 +1,318 @@
+import u from '@/lib/utils'
+
+// ---------------------------------------------------------------------
+// Reads quantitative (signal) data from a BigWig file, using HTTP range requests.
+// Only the parts of the file needed to answer a query are fetched: the header, the
+// chromosome B+ tree, the nodes of the R-tree index that overlap the query range, and
+// the data blocks they point to.
+// See: Kent et al, "BigWig and BigBed: enabling browsing of large distributed datasets", Bioinformatics 2010.
+//
+const BIGWIG_MAGIC = 0x888FFC26
+const CHROMTREE_MAGIC = 0x78CA8C91
+const RTREE_MAGIC = 0x2468ACE0
+const HEADER_SIZE = 64
+const ZOOM_HEADER_SIZE = 24
+const RTREE_HEADER_SIZE = 48
+const RTREE_LEAF_ITEM_SIZE = 32
+const ZOOM_RECORD_SIZE = 32
+
+// Thin wrapper around a DataView that keeps a read position and knows the file's byte order.
+class BinaryParser {
+  constructor (buf, littleEndian, pos) {
+    this.view = new DataView(buf)
+    this.le = littleEndian
+    this.pos = pos || 0
+  }
+  u8 () {
+    const v = this.view.getUint8(this.pos)
+    this.pos += 1
+    return v
+  }
+  u16 () {
+    const v = this.view.getUint16(this.pos, this.le)
+    this.pos += 2
+    return v
+  }
+  u32 () {
+    const v = this.view.getUint32(this.pos, this.le)
+    this.pos += 4
+    return v
+  }
+  // 64-bit ints are read as (lossless up to 2^53) Numbers
+  u64 () {
+    const a = this.u32()
+    const b = this.u32()
+    return this.le ? b * 4294967296 + a : a * 4294967296 + b
+  }
+  f32 () {
+    const v = this.view.getFloat32(this.pos, this.le)
+    this.pos += 4
+    return v
+  }
+  // Reads a fixed length, zero padded string
+  str (len) {
+    let s = ''
+    for (let i = 0; i < len; i++) {
+      const c = this.view.getUint8(this.pos + i)
+      if (c === 0) break
+      s += String.fromCharCode(c)
+    }
+    this.pos += len
+    return s
+  }
+}
+
+class BigWigFileReader {
+  // Args:
+  //   fetcher (CachingFetcher) used for all (range) requests
+  //   name (string) the track name
+  //   genome (object) the genome descriptor
+  //   url (string) the URL of the BigWig file
+  constructor (fetcher, name, genome, url) {
+    this.fetcher = fetcher
+    this.name = name
+    this.genome = genome
+    this.url = url
+    this.headerP = null
+  }
+  // Returns a promise for the parsed file header, which includes the zoom level headers
+  // and the chromosome name -> id mapping.
+  readHeader () {
+    if (this.headerP) return this.headerP
+    this.headerP = this.fetcher.fetchRange(this.url, 0, HEADER_SIZE).then(buf => {
+      const dv = new DataView(buf)
+      let le
+      if (dv.getUint32(0, true) === BIGWIG_MAGIC) {
+        le = true
+      } else if (dv.getUint32(0, false) === BIGWIG_MAGIC) {
+        le = false
+      } else {
+        u.fail(`Not a BigWig file: ${this.url}`)
+      }
+      const p = new BinaryParser(buf, le, 4)
+      const h = { littleEndian: le }
+      h.version = p.u16()
+      h.zoomLevels = p.u16()
+      h.chromTreeOffset = p.u64()
+      h.fullDataOffset = p.u64()
+      h.fullIndexOffset = p.u64()
+      h.fieldCount = p.u16()
+      h.definedFieldCount = p.u16()
+      h.autoSqlOffset = p.u64()
+      h.totalSummaryOffset = p.u64()
+      h.uncompressBufSize = p.u32()
+      return h
+    }).then(h => {
+      if (h.zoomLevels === 0) return h
+      return this.fetcher.fetchRange(this.url, HEADER_SIZE, h.zoomLevels * ZOOM_HEADER_SIZE).then(buf => {
+        const p = new BinaryParser(buf, h.littleEndian)
+        h.zooms = []
+        for (let i = 0; i < h.zoomLevels; i++) {
+          const reductionLevel = p.u32()
+          p.u32() // reserved
+          const dataOffset = p.u64()
+          const indexOffset = p.u64()
+          h.zooms.push({ reductionLevel, dataOffset, indexOffset })
+        }
+        return h
+      })
+    }).then(h => {
+      h.zooms = h.zooms || []
+      return this.readChromTree(h).then(chroms => {
+        h.chroms = chroms
+        return h
+      })
+    })
+    return this.headerP
+  }
+  // Reads the chromosome B+ tree. Returns a promise for a mapping from chromosome name to
+  // { id, size }. The tree sits between the chromosome tree offset and the data section,
+  // so it is read with one request.
+  readChromTree (h) {
+    const len = h.fullDataOffset - h.chromTreeOffset
+    return this.fetcher.fetchRange(this.url, h.chromTreeOffset, len).then(buf => {
+      const p = new BinaryParser(buf, h.littleEndian)
+      if (p.u32() !== CHROMTREE_MAGIC) u.fail(`Bad chromosome tree in ${this.url}`)
+      p.u32() // blockSize
+      const keySize = p.u32()
+      p.u32() // valSize
+      p.u64() // itemCount
+      p.u64() // reserved
+      const chroms = {}
+      const readNode = (offset) => {
+        const np = new BinaryParser(buf, h.littleEndian, offset)
+        const isLeaf = np.u8()
+        np.u8() // reserved
+        const count = np.u16()
+        for (let i = 0; i < count; i++) {
+          const key = np.str(keySize)
+          if (isLeaf) {
+            const id = np.u32()
+            const size = np.u32()
+            chroms[key] = { id, size }
+          } else {
+            const child = np.u64()
+            readNode(child - h.chromTreeOffset)
+          }
+        }
+      }
+      readNode(p.pos)
+      return chroms
+    })
+  }
+  // Finds the id of chromosome c in the file. Tolerates the "chr" prefix being present
+  // in one place but not the other.
+  getChromId (h, c) {
+    const n = c.name || c
+    const cinfo = h.chroms[n] || h.chroms['chr' + n] || h.chroms[n.replace(/^chr/, '')]
+    return cinfo ? cinfo.id : -1
+  }
+  // Searches the R-tree index rooted at indexOffset. Returns a promise for the list of
+  // leaf items (data block descriptors) that overlap the query range.
+  // Query coordinates are 0-based, half-open.
+  searchIndex (h, indexOffset, chrId, qs, qe, opts) {
+    const overlaps = (sc, sb, ec, eb) => {
+      return (sc < chrId || (sc === chrId && sb < qe)) && (ec > chrId || (ec === chrId && eb > qs))
+    }
+    return this.fetcher.fetchRange(this.url, indexOffset, RTREE_HEADER_SIZE, opts).then(buf => {
+      const p = new BinaryParser(buf, h.littleEndian)
+      if (p.u32() !== RTREE_MAGIC) u.fail(`Bad R-tree index in ${this.url}`)
+      const blockSize = p.u32()
+      const readNode = (offset) => {
+        // read enough for the node header plus a full block of (the larger, leaf) items
+        const maxLen = 4 + blockSize * RTREE_LEAF_ITEM_SIZE
+        return this.fetcher.fetchRange(this.url, offset, maxLen, opts).then(nbuf => {
+          const np = new BinaryParser(nbuf, h.littleEndian)
+          const isLeaf = np.u8()
+          np.u8() // reserved
+          const count = np.u16()
+          const items = []
+          const kids = []
+          for (let i = 0; i < count; i++) {
+            const sc = np.u32()
+            const sb = np.u32()
+            const ec = np.u32()
+            const eb = np.u32()
+            if (isLeaf) {
+              const dataOffset = np.u64()
+              const dataSize = np.u64()
+              if (overlaps(sc, sb, ec, eb)) items.push({ dataOffset, dataSize })
+            } else {
+              const child = np.u64()
+              if (overlaps(sc, sb, ec, eb)) kids.push(child)
+            }
+          }
+          if (isLeaf) return items
+          return Promise.all(kids.map(k => readNode(k))).then(u.concatAll)
+        })
+      }
+      return readNode(indexOffset + RTREE_HEADER_SIZE)
+    })
+  }
+  // Returns a promise for the (decompressed) contents of a data block.
+  readBlock (h, blk, opts) {
+    return this.fetcher.fetchRange(this.url, blk.dataOffset, blk.dataSize, opts).then(buf => {
+      return h.uncompressBufSize > 0 ? u.inflate(buf) : buf
+    })
+  }
+  // Parses a block of (full resolution) wig data. Appends items in range to data.
+  parseWigBlock (h, buf, chrId, qs, qe, data) {
+    const p = new BinaryParser(buf, h.littleEndian)
+    const blkChr = p.u32()
+    const blkStart = p.u32()
+    p.u32() // chromEnd
+    const itemStep = p.u32()
+    const itemSpan = p.u32()
+    const type = p.u8()
+    p.u8() // reserved
+    const itemCount = p.u16()
+    if (blkChr !== chrId) return
+    for (let i = 0; i < itemCount; i++) {
+      let s, e, v
+      if (type === 1) {
+        // bedGraph
+        s = p.u32()
+        e = p.u32()
+        v = p.f32()
+      } else if (type === 2) {
+        // variableStep
+        s = p.u32()
+        e = s + itemSpan
+        v = p.f32()
+      } else {
+        // fixedStep
+        s = blkStart + i * itemStep
+        e = s + itemSpan
+        v = p.f32()
+      }
+      if (s < qe && e > qs) {
+        data.push({ start: s + 1, end: e, value: v, min: v, max: v })
+      }
+    }
+    return data
+  }
+  // Parses a block of zoom level summary records. Appends items in range to data.
+  parseZoomBlock (h, buf, chrId, qs, qe, data) {
+    const p = new BinaryParser(buf, h.littleEndian)
+    const n = Math.floor(buf.byteLength / ZOOM_RECORD_SIZE)
+    for (let i = 0; i < n; i++) {
+      const c = p.u32()
+      const s = p.u32()
+      const e = p.u32()
+      const validCount = p.u32()
+      const min = p.f32()
+      const max = p.f32()
+      const sum = p.f32()
+      p.f32() // sumSquares
+      if (c === chrId && s < qe && e > qs && validCount > 0) {
+        data.push({ start: s + 1, end: e, value: sum / validCount, min, max })
+      }
+    }
+    return data
+  }
+  // Picks the coarsest zoom level whose resolution is still at least as fine as basesPerPixel.
+  // Returns null if full resolution data should be used.
+  pickZoom (h, basesPerPixel) {
+    if (!basesPerPixel || basesPerPixel < 2) return null
+    return h.zooms.reduce((best, z) => {
+      if (z.reductionLevel > basesPerPixel) return best
+      if (!best || z.reductionLevel > best.reductionLevel) return z
+      return best
+    }, null)
+  }
+  // Returns a promise for the signal in the specified range of chromosome c.
+  // Args:
+  //   c (object) the chromosome
+  //   s, e (int) 1-based, closed range
+  //   basesPerPixel (number, optional) the display resolution. If given, data are read from
+  //      the matching zoom level (summaries) rather than at full resolution.
+  //   opts (object, optional) { signal, priority } for the index and data requests (see RequestQueue)
+  // Resolves to a list of items sorted by start position, each of the form:
+  //   { start, end, value, min, max }
+  // For full resolution data, value === min === max. For summaries, value is the mean.
+  readRange (c, s, e, basesPerPixel, opts) {
+    return this.readHeader().then(h => {
+      const chrId = this.getChromId(h, c)
+      if (chrId === -1) return []
+      const qs = Math.max(0, s - 1)
+      const qe = e
+      const zoom = this.pickZoom(h, basesPerPixel)
+      const indexOffset = zoom ? zoom.indexOffset : h.fullIndexOffset
+      return this.searchIndex(h, indexOffset, chrId, qs, qe, opts).then(blocks => {
+        return Promise.all(blocks.map(blk => this.readBlock(h, blk, opts).then(buf => {
+          const data = []
+          if (zoom) {
+            this.parseZoomBlock(h, buf, chrId, qs, qe, data)
+          } else {
+            this.parseWigBlock(h, buf, chrId, qs, qe, data)
+          }
+          return data
+        })))
+      }).then(results => u.concatAll(results).sort((a, b) => a.start - b.start))
+    })
+  }
+}
+
+export {
+  BigWigFileReader
+}
@@ -1,41 +1,269 @@
 import u from '@/lib/utils'
+import config from '@/config'
 import KeyStore from '@/lib/KeyStore'
 
+// ---------------------------------------------------------------------
+// Keeps track of the size and last access time of every entry in a cache database, and when the
+// total size exceeds the quota (config.CachingFetcher.quota, in MB), evicts the least recently used
+// entries. All CachingFetchers using the same database share one CacheIndex (see getCacheIndex).
+//
+// The metadata is kept in memory and saved (as one object) in a separate database, a short
+// time after it changes. Each entry is: key -> { size, lastAccess, range }, where size is in bytes
+// (of the raw response, for fetched data), and range is { url, start, length } for entries holding
+// a byte range of a file.
+//
+const FLUSH_DELAY = 2000 // ms
+const LOW_WATER = 0.9 // when evicting, evict down to this fraction of the quota
+const INDEX_KEY = 'index'
+
+// Returns the namespace part of a cache key (see CachingFetcher).
+function namespaceOf (key) {
+  return key.substr(0, key.indexOf('::'))
+}
+
+// Returns the key under which byte ranges of url (in namespace ns) are listed (see CacheIndex.ranges).
+function rangesKey (ns, url) {
+  return `${ns}::${url}`
+}
+
+class CacheIndex {
+  constructor (cacheName) {
+    this.kstore = new KeyStore(cacheName)
+    this.mstore = new KeyStore(config.CachingFetcher.metaDbName)
+    this.entries = {}
+    this.ranges = {} // namespace and url -> keys of the entries holding byte ranges of the url (see rangesKey)
+    this.total = 0
+    this.flushTimer = null
+    this.readyP = Promise.all([this.mstore.get(INDEX_KEY), this.kstore.keys()]).then(([entries, keys]) => {
+      this.entries = entries || {}
+      // Drop data without metadata (eg, cached by an older version), and metadata without data.
+      // Genome info entries (see GenomeReader.checkTimestamp) are stored directly, and are kept.
+      const keySet = new Set(keys || [])
+      const orphans = (keys || []).filter(k => !this.entries[k] && !k.endsWith('::INFO'))
+      Object.keys(this.entries).forEach(k => {
+        if (keySet.has(k)) {
+          this.total += this.entries[k].size
+          this.link(k)
+        } else {
+          delete this.entries[k]
+        }
+      })
+      return Promise.all(orphans.map(k => this.kstore.del(k)))
+    }).catch(err => {
+      u.debug('CacheIndex: could not load metadata. ' + err)
+    })
+  }
+  // Returns a promise that resolves when the metadata has been loaded.
+  ready () {
+    return this.readyP
+  }
+  // Returns the quota, in bytes. Without a valid one, nothing is evicted.
+  quota () {
+    const q = parseFloat(config.CachingFetcher.quota)
+    return q > 0 ? q * 1024 * 1024 : Infinity
+  }
+  // Saves the metadata, soon.
+  scheduleFlush () {
+    if (this.flushTimer) return
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null
+      this.mstore.set(INDEX_KEY, this.entries)
+    }, FLUSH_DELAY)
+  }
+  // Records an access to key.
+  touch (key) {
+    const e = this.entries[key]
+    if (!e) return
+    e.lastAccess = Date.now()
+    this.scheduleFlush()
+  }
+  // Stores a value of the given size (in bytes) under key. Evicts other entries as needed.
+  // Returns a promise that resolves when the value is stored.
+  add (key, val, size, range) {
+    this.remove(key, true)
+    this.entries[key] = { size, lastAccess: Date.now(), range: range || null }
+    this.total += size
+    this.link(key)
+    this.scheduleFlush()
+    return this.kstore.set(key, val).then(() => this.evict())
+  }
+  // Removes an entry. Unless metaOnly is true, also deletes the cached value.
+  remove (key, metaOnly) {
+    if (!this.entries[key]) return Promise.resolve()
+    this.unlink(key)
+    this.scheduleFlush()
+    return metaOnly ? Promise.resolve() : this.kstore.del(key)
+  }
+  // If the entry for key holds a byte range, lists it under its url (see findRange).
+  link (key) {
+    const r = this.entries[key].range
+    if (!r) return
+    const rk = rangesKey(namespaceOf(key), r.url)
+    const keys = this.ranges[rk] = this.ranges[rk] || []
+    keys.push(key)
+  }
+  // Forgets the entry for key (the metadata only).
+  unlink (key) {
+    const e = this.entries[key]
+    this.total -= e.size
+    delete this.entries[key]
+    if (!e.range) return
+    const rk = rangesKey(namespaceOf(key), e.range.url)
+    const keys = (this.ranges[rk] || []).filter(k => k !== key)
+    if (keys.length) {
+      this.ranges[rk] = keys
+    } else {
+      delete this.ranges[rk]
+    }
+  }
+  // If the cache is over quota, evicts the least recently used entries. Called after each write, and
+  // when the quota changes. Returns a promise.
+  evict () {
+    const quota = this.quota()
+    if (this.total <= quota) return Promise.resolve()
+    const lru = Object.keys(this.entries).sort((a, b) => this.entries[a].lastAccess - this.entries[b].lastAccess)
+    const victims = []
+    for (const k of lru) {
+      if (this.total <= LOW_WATER * quota) break
+      victims.push(k)
+      this.unlink(k)
+    }
+    this.scheduleFlush()
+    u.debug(`CacheIndex: evicted ${victims.length} entries.`)
+    return Promise.all(victims.map(k => this.kstore.del(k)))
+  }
+  // Returns the key of a cached byte range (in namespace ns) that contains the range
+  // [start, start+length) of url, or null if there is none.
+  findRange (ns, url, start, length) {
+    return (this.ranges[rangesKey(ns, url)] || []).filter(k => {
+      const r = this.entries[k].range
+      return r.start <= start && r.start + r.length >= start + length
+    })[0] || null
+  }
+  // Returns the cache usage, by namespace: a list of { namespace, count, size }, sorted by namespace.
+  usage () {
+    const byNs = {}
+    Object.keys(this.entries).forEach(k => {
+      const ns = namespaceOf(k)
+      const x = byNs[ns] = byNs[ns] || { namespace: ns, count: 0, size: 0 }
+      x.count += 1
+      x.size += this.entries[k].size
+    })
+    return Object.values(byNs).sort((a, b) => a.namespace < b.namespace ? -1 : a.namespace > b.namespace ? 1 : 0)
+  }
+  // Removes all entries in namespace ns. Returns a promise.
+  clearNamespace (ns) {
+    const prefix = ns + '::'
+    // include entries not (yet) in the index
+    return this.kstore.keys().then(keys => {
+      const mykeys = new Set(keys.filter(k => k.startsWith(prefix)).concat(Object.keys(this.entries).filter(k => k.startsWith(prefix))))
+      return Promise.all(Array.from(mykeys).map(k => this.entries[k] ? this.remove(k) : this.kstore.del(k)))
+    })
+  }
+}
+
+// One CacheIndex per database
+const cacheIndexes = {}
+function getCacheIndex (cacheName) {
+  cacheIndexes[cacheName] = cacheIndexes[cacheName] || new CacheIndex(cacheName)
+  return cacheIndexes[cacheName]
+}
+
+// ---------------------------------------------------------------------
 class CachingFetcher {
   // Args:
   //  cacheName (string) Name to use for the IndexedDB cache
   //  namespace (string) optional. If provided, prefixes all cache keys with this value.
-  constructor (cacheName, namespace) {
-    this.kstore = new KeyStore(cacheName)
+  //  source (DataSource) optional. Where to fetch from. Default: over the net (see utils.fetch).
+  //    Reads from sources that are not cacheable (eg, local files) go straight to the source.
+  constructor (cacheName, namespace, source) {
+    this.index = getCacheIndex(cacheName)
+    this.kstore = this.index.kstore
     this.namespace = namespace || ''
+    this.source = source || u
+    this.cacheable = !source || source.cacheable
   }
   // Returns a promise for the content at the specified url.
   // Returns results from the cache if found, else fetches over the net, then caches and returns it.
+  // The raw response is what's cached, under one key whatever the type, and is parsed on the way out.
+  // So a file read both as bytes (eg, for the features worker) and parsed is only cached once.
   // Args:
   //   url (string) the URL to fetch
-  //   type (string) one of: text, json, gff3
-  fetch (url, type) {
-    const key = `${this.namespace}::${type}::${url}`
-    return this.kstore.get(key).then(cachedval => {
+  //   type (string) one of: text, json, gff3, vcf, tsv, arraybuffer
+  //   opts (object) optional. { signal, priority } for the request, if one is needed (see RequestQueue)
+  fetch (url, type, opts) {
+    if (!this.cacheable) return this.source.fetch(url, type, undefined, opts)
+    const key = `${this.namespace}::${url}`
+    return this.index.ready().then(() => this.kstore.get(key)).then(cachedval => {
       if (cachedval === undefined) {
-        return u.fetch(url, type).then(val => {
-          this.kstore.set(key, val)
+        return this.source.fetch(url, 'arraybuffer', undefined, opts).then(val => {
+          this.index.add(key, val, val.byteLength)
           return val
         }).catch(e => {
           throw e.toString()
         })
       } else {
+        this.index.touch(key)
         return cachedval
       }
+    }).then(buf => type === 'arraybuffer' ? buf : u.parseBody(new Blob([buf]), type))
+  }
+  // Returns a promise for a range of bytes (as an ArrayBuffer) from the file at the specified url.
+  // Cached the same way as fetch(). A request is also satisfied from any cached range that contains it.
+  // Args:
+  //   url (string) the URL to fetch from
+  //   start (int) offset of the first byte
+  //   length (int) number of bytes
+  //   opts (object) optional. As for fetch()
+  fetchRange (url, start, length, opts) {
+    if (!this.cacheable) return this.source.fetchRange(url, start, length, opts)
+    return this.index.ready().then(() => {
+      const key = this.index.findRange(this.namespace, url, start, length)
+      return key ? this.kstore.get(key).then(buf => ({ key, buf })) : { key: null }
+    }).then(({ key, buf }) => {
+      if (buf !== undefined) {
+        this.index.touch(key)
+        const r = this.index.entries[key].range
+        return buf.slice(start - r.start, start - r.start + length)
+      }
+      if (key) this.index.remove(key, true)
+      const nkey = `${this.namespace}::range::${url}::${start}:${length}`
+      return this.source.fetchRange(url, start, length, opts).then(val => {
+        // the response may be short (eg, at the end of the file)
+        this.index.add(nkey, val, val.byteLength, { url, start, length: val.byteLength })
+        return val
+      }).catch(e => {
+        throw e.toString()
+      })
     })
   }
+  // Returns a promise for a value derived from fetched data (eg, an index), saved by setDerived,
+  // or undefined if there is none. Derived values live (and are evicted) alongside the data.
+  getDerived (name) {
+    if (!this.cacheable) return Promise.resolve(undefined)
+    const key = `${this.namespace}::derived::${name}`
+    return this.index.ready().then(() => this.kstore.get(key)).then(val => {
+      if (val !== undefined) this.index.touch(key)
+      return val
+    })
+  }
+  // Saves a derived value (see getDerived). Returns a promise.
+  // Args:
+  //   name (string) the value's name
+  //   val (any) the value. Anything IndexedDB can store.
+  //   size (int) its approximate size in bytes, eg, the length of the data it was derived from
+  setDerived (name, val, size) {
+    if (!this.cacheable) return Promise.resolve()
+    const key = `${this.namespace}::derived::${name}`
+    return this.index.ready().then(() => this.index.add(key, val, size))
+  }
   // Removes all entries under my namespace. Returns a promise that resolves when all keys removed.
   clearNamespace () {
-    return this.kstore.keys().then(keys => {
-      const mykeys = keys.filter(k => k.startsWith(this.namespace+'::'))
-      return Promise.all(mykeys.map(k => this.kstore.del(k)))
-    })
+    return this.index.ready().then(() => this.index.clearNamespace(this.namespace))
   }
 }
 
+export {
+  getCacheIndex
+}
 export default CachingFetcher
@@ -1,4 +1,5 @@
 import u from '@/lib/utils'
+import { ABORTED } from '@/lib/RequestQueue'
 
 // ---------------------------------------------------------------------
 class ChunkedFileReader {
@@ -22,54 +23,91 @@ class ChunkedFileReader {
   readChromosome (c) {
     return this.readRange(c, 1, c.length)
   }
-  readChunks (c, s, e) {
-    let url
-    let p
+  // Returns a promise for the unparsed contents of all the files, as a list of pieces (see readRangeBytes).
+  // Args:
+  //   opts - optional. { signal, priority } for the requests (see RequestQueue)
+  readAllBytes (opts) {
     if (this.chunkSize === 0) {
-      // One file for the genome.
-      url = `${this.url}/${this.name}/0.${this.type}`
-      p = this.fetcher.fetch(url, this.type).then(data => data.filter(f => this.getChr(f) === c.name))
-    } else if (this.chunkSize === 1) {
-      // One file per chromosome.
-      url = `${this.url}/${this.name}/${c.name}/0.${this.type}`
-      p = this.fetcher.fetch(url, this.type)
+      return this.fetcher.fetch(`${this.url}/${this.name}/0.${this.type}`, 'arraybuffer', opts).then(bytes => {
+        return [{ chr: null, ref: null, bytes }]
+      })
     } else {
-      // Chunked files (size = chunkSize) organized by chromosome.
-      const minBlk = Math.max(0, Math.floor(s / this.chunkSize))
-      const maxBlk = Math.max(minBlk, Math.floor(Math.min(e, c.length) / this.chunkSize))
-      const ps = []
-      for (let i = minBlk; i <= maxBlk; i++) {
-        if (this.holes[c] && this.holes[c].has(i)) {
-          continue
-        }
-        url = `${this.url}/${this.name}/${c.name}/${i}.${this.type}`
-        ps.push(this.fetcher.fetch(url, this.type))
+      const ps = this.genome.chromosomes.map(c => this.readRangeBytes(c, 1, c.length, opts))
+      return Promise.all(ps).then(u.concatAll)
+    }
+  }
+  // Returns a promise for the unparsed data covering the specified range, for parsing elsewhere
+  // (eg, in a worker). The data are a list of pieces, each of the form { chr, ref, bytes }, where
+  // chr is the chromosome name, ref is the name the file uses for it (null if the piece covers
+  // all chromosomes), and bytes is an ArrayBuffer. Pieces may also contain records outside the range,
+  // or for other chromosomes, and records spanning chunk boundaries appear in more than one piece.
+  // Args as for readChunks.
+  readRangeBytes (c, s, e, opts) {
+    if (this.chunkSize === 0) {
+      return this.fetcher.fetch(`${this.url}/${this.name}/0.${this.type}`, 'arraybuffer', opts).then(bytes => {
+        return [{ chr: c.name, ref: c.name, bytes }]
+      })
+    }
+    return this.fetchChunks(c, s, e, 'arraybuffer', opts).then(bs => bs.map(bytes => ({ chr: c.name, ref: c.name, bytes })))
+  }
+  // Returns a promise for the contents of the chunk files covering the specified range, as a list.
+  // Only for chunked files (chunkSize 1 or more).
+  // Args:
+  //   c, s, e - chromosome, start, end
+  //   type - type of the contents (see CachingFetcher.fetch)
+  //   opts - optional. { signal, priority } for the requests (see RequestQueue)
+  fetchChunks (c, s, e, type, opts) {
+    if (this.chunkSize === 1) {
+      // One file per chromosome.
+      return this.fetcher.fetch(`${this.url}/${this.name}/${c.name}/0.${this.type}`, type, opts).then(data => [data])
+    }
+    // Chunked files (size = chunkSize) organized by chromosome.
+    const minBlk = Math.max(0, Math.floor(s / this.chunkSize))
+    const maxBlk = Math.max(minBlk, Math.floor(Math.min(e, c.length) / this.chunkSize))
+    const blks = []
+    for (let i = minBlk; i <= maxBlk; i++) {
+      if (this.holes[c] && this.holes[c].has(i)) {
+        continue
       }
-      p = Promise.allSettled(ps).then(results => {
-        // Chunk files only exist where there is data. Here we deal with the
-        // fact that there can be "holes" in the range of chunks. The list of promises
-        // generated for the range of chunks will have some fulfilled and some rejected.
-        // Keep/concatenate the fulfilled ones.
-        const recs = u.concatAll(results.filter(r => r.status === "fulfilled").map(r => r.value))
-        // Record the rejected ones and avoid requesting them in the future.
-        results.forEach((r, i) => {
-          if (r.status === "fulfilled") {
-            return
-          } else if (r.reason.startsWith("404:")) {
-            const holes = this.holes[c] || new Set()
-            holes.add(minBlk + i)
-            this.holes[c] = holes
-          }
-        })
-        // File chunking duplicates items that span chunk boundaries.
-        // Here is where we deal with that.
-        return u.uniqueItems(recs, r => this.getID(r))
+      blks.push(i)
+    }
+    const ps = blks.map(i => this.fetcher.fetch(`${this.url}/${this.name}/${c.name}/${i}.${this.type}`, type, opts))
+    return Promise.allSettled(ps).then(results => {
+      // If cancelled, partial results would look like holes. Give up entirely.
+      if (results.some(r => r.status === "rejected" && r.reason === ABORTED)) return Promise.reject(ABORTED)
+      // Chunk files only exist where there is data. Here we deal with the
+      // fact that there can be "holes" in the range of chunks. The list of promises
+      // generated for the range of chunks will have some fulfilled and some rejected.
+      // Record the rejected ones and avoid requesting them in the future.
+      results.forEach((r, i) => {
+        if (r.status === "rejected" && r.reason.startsWith("404:")) {
+          const holes = this.holes[c] || new Set()
+          holes.add(blks[i])
+          this.holes[c] = holes
+        }
       })
+      // Keep the fulfilled ones.
+      return results.filter(r => r.status === "fulfilled").map(r => r.value)
+    })
+  }
+  // Returns a promise for the records in the chunks covering the range.
+  // Args:
+  //   c, s, e - chromosome, start, end
+  //   opts - optional. { signal, priority } for the requests (see RequestQueue)
+  readChunks (c, s, e, opts) {
+    if (this.chunkSize === 0) {
+      // One file for the genome.
+      const url = `${this.url}/${this.name}/0.${this.type}`
+      return this.fetcher.fetch(url, this.type, opts).then(data => data.filter(f => this.getChr(f) === c.name))
     }
-    return p
+    return this.fetchChunks(c, s, e, this.type, opts).then(chunks => {
+      // File chunking duplicates items that span chunk boundaries.
+      // Here is where we deal with that.
+      return u.uniqueItems(u.concatAll(chunks), r => this.getID(r))
+    })
   }
-  readRange (c, s, e) {
-    return this.readChunks(c, s, e).then(data => data.filter(f => this.getStart(f) <= e && this.getEnd(f) >= s))
+  readRange (c, s, e, opts) {
+    return this.readChunks(c, s, e, opts).then(data => data.filter(f => this.getStart(f) <= e && this.getEnd(f) >= s))
   }
 }
 
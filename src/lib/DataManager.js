@@ -9,24 +9,39 @@
  * Should adopt a naming convention so that caller knows which, eg, getFoo vs getFooP
  * or getPfFoo (get promise for foo)
  */
-import gc from '@/lib/GenomeCoordinates'
 import u from '@/lib/utils'
 import config from '@/config'
 import { GenomeRegistrar } from '@/lib/GenomeRegistrar'
+import { HttpDataSource } from '@/lib/DataSource'
 import HomologyManager from '@/lib/HomologyManager'
-import gff3 from '@/lib/gff3lite'
+import vcf from '@/lib/vcflite'
+import { reverseComplement, translate } from '@/lib/genetic_code'
+import FeatureWorker from '@/lib/FeatureWorker'
+import IntervalIndex from '@/lib/IntervalIndex'
+
+// The primary gene track. Its features are the ones indexed for lookups (getFeaturesBy) and homology.
+const GENES_TRACK = 'genes'
 
 class DataManager {
   constructor (app) {
     this.app = app
-    this.url = this.app.runtimeConfig.dataUrl
+    this.dataSource = this.app.dataSource || new HttpDataSource(this.app.runtimeConfig.dataUrl)
+    this.url = this.dataSource.url
     this.fetchUrl = this.url + "fetch.cgi"
     this.cache = {} // { genome.name -> { chr.name -> [features] } }
-    this.pending = {} // genome.name -> pending promise
+    this.index = {} // { genome.name -> { chr.name -> IntervalIndex over the features } }
+    this.blocks = {} // genome.name -> { block key -> load } for the loaded parts of the genes track (see _loadBlock)
+    this.loadedLength = {} // genome.name -> total length of the loaded blocks
+    this.complete = {} // genome.name -> promise that resolves when all features are loaded
+    this.locators = {} // genome.name -> promise for the genome's locator (see getLocator)
+    this.homologyP = {} // taxon id -> promise for homology data (see ensureHomologyData)
+    this.sets = {} // genome.name -> { track name -> registry } for additional annotation sets (see _registry)
     this.id2feat = {} // ID -> feature
     this.cid2feats = {} // cID -> [ features ]
     this.symbol2feats = {} // symbol -> [ features ]
-    this.greg = new GenomeRegistrar()
+    this.synonym2feats = {} // lower case synonym -> [ features ] (see features.worker.js)
+    this.featureWorker = new FeatureWorker()
+    this.greg = new GenomeRegistrar(this.dataSource)
     this.genomes = this.greg.register(this.url)
     this.homologyManager = new HomologyManager(this, this.url)
   }
@@ -42,6 +57,9 @@ class DataManager {
   getFeaturesBySymbol (symbol) {
     return this.symbol2feats[symbol.toLowerCase()] || []
   }
+  getFeaturesBySynonym (synonym) {
+    return this.synonym2feats[synonym.toLowerCase()] || []
+  }
   getFeaturesBy (val) {
     let f = this.getFeatureById(val)
     if (f) return [f]
@@ -59,77 +77,355 @@ class DataManager {
   getGenomes () {
     return this.genomes
   }
+  // Returns a promise for the SyntenyMap from genome ga to genome gb, or null if there is none.
+  getSyntenyMap (ga, gb) {
+    return this.greg.getSyntenyMap(ga, gb)
+  }
   // Returns a promise that resolves when all features of genome g have been loaded and registered.
   // After resolution, one may access the features of chromosome c of genome g via this.cache[g.name][c.name]
+  // Most callers need much less than this; see ensureRange, ensureIds, and ensureHomologs.
   ensureFeatures (g) {
-    //
-    if (this.pending[g.name]) return this.pending[g.name]
-    if (this.cache[g.name]) return Promise.resolve(true)
-    //
-    const txid = this.fixTaxonId(g.metadata.taxonid)
-    const hp = this.homologyManager.loadHomologiesForTaxon(txid)
-    //
-    this.cache[g.name] = {}
-    this.pending[g.name] = this.greg.getReader(g, 'genes').then(reader => {
-      this.app.$root.$emit('message', { message: 'Loading ' + g.name + '...' })
-      return reader.readAll().then(recs => {
-        let prevChr = null
-        let feats = []
-        let allFeats = []
-        recs.forEach(r => {
-          if (!prevChr || r[0] !== prevChr.name) {
-            if (feats.length) {
-              allFeats.push(this._registerChr(g, prevChr, feats))
-            }
-            prevChr = g.name2chr[r[0]]
-            if (!prevChr) u.fail("Could not find chromosome " + r[0])
-            feats = [r]
-          }
-          else {
-            feats.push(r)
-          }
-        })
-        if (feats.length) allFeats.push(this._registerChr(g, prevChr, feats))
-        delete this.pending[g.name]
-        // calculate feature density (features per Mb) for each genome
-        const totalFeats = allFeats.reduce((v,a) => v + a.length, 0)
-        const totalGenomeLength = g.chromosomes.reduce((v,c) => v + c.length, 0)
-        g.featureDensity = totalFeats / totalGenomeLength * 1000000
-        return allFeats
+    if (this.complete[g.name]) return this.complete[g.name]
+    this.app.$root.$emit('message', { message: 'Loading ' + g.name + '...' })
+    let ndone = 0
+    const ps = g.chromosomes.map(c => this.ensureChromosome(g, c).then(() => {
+      ndone += 1
+      this.app.$root.$emit('progress', { message: `Loading ${g.name}... ${Math.floor(100 * ndone / g.chromosomes.length)}%` })
+    }))
+    const p = Promise.all(ps).then(() => {
+      // Now that we've seen everything, save the locator for next time.
+      const loc = this._buildLocator(g)
+      this.locators[g.name] = Promise.resolve(loc)
+      // roughly, each key plus a chromosome name
+      const size = Object.keys(loc).reduce((v, k) => v + 2 * k.length + 8, 0)
+      this.greg.getFetcher(g).then(fetcher => fetcher.setDerived('locator', loc, size))
+      return true
+    }).catch(err => {
+      delete this.complete[g.name]
+      throw err
+    })
+    this.complete[g.name] = p
+    return p
+  }
+  // Returns a promise that resolves when the features of genome g in the range s..e of chromosome c
+  // have been loaded and registered, along with the homology data for g's taxon.
+  // Features are loaded in blocks (see _blocks): by chunk for chunked tracks, otherwise by chromosome.
+  // Args:
+  //   g, c, s, e - genome, chromosome, start, end
+  //   opts - optional.
+  //     track - the gene track (see getAnnotationSets). Default: the primary one.
+  //     signal, priority - for the data requests and parsing (see RequestQueue). Loads are shared,
+  //       so a load is only cancelled when every caller waiting for it has aborted.
+  ensureRange (g, c, s, e, opts) {
+    opts = opts || {}
+    const fp = this.greg.getReader(g, opts.track || GENES_TRACK).then(reader => {
+      return Promise.all(this._blocks(g, reader, c, s, e).map(b => this._loadBlock(g, b, opts)))
+    })
+    return Promise.all([this.ensureHomologyData(g), fp]).then(() => true)
+  }
+  // Returns a promise that resolves when the features of chromosome c of genome g have been loaded.
+  ensureChromosome (g, c, opts) {
+    return this.ensureRange(g, c, 1, c.length, opts)
+  }
+  // Returns a promise that resolves when the features of genome g with the given IDs, cIDs,
+  // or symbols have been loaded (see locate).
+  ensureIds (g, ids) {
+    return this.locate(g, ids).then(cns => Promise.all(cns.map(cn => this.ensureChromosome(g, g.name2chr[cn]))))
+  }
+  // Returns a promise for the homologs in genomes of the (loaded) features feats, as a list (see getHomologs).
+  // Loads the homology data and the chromosomes containing the homologs, as needed.
+  ensureHomologs (feats, genomes) {
+    genomes = this.fixGenomesArg(genomes)
+    const gs = new Set(genomes)
+    feats.forEach(f => gs.add(f.genome))
+    return Promise.all(Array.from(gs).map(g => this.ensureHomologyData(g))).then(() => {
+      const cids = new Set()
+      feats.forEach(f => this.getHomologCids(f, genomes).forEach(cid => cids.add(cid)))
+      return Promise.all(genomes.map(g => this.ensureIds(g, Array.from(cids))))
+    }).then(() => {
+      return feats.reduce((a, f) => {
+        this.getHomologs(f, genomes).forEach(h => a.push(h))
+        return a
+      }, [])
+    })
+  }
+  // Returns a promise for the homology group of feature f in genomes (see HomologyManager.getHomologyGraph),
+  // after loading its features. Resolves to { features, edges, truncated }, where features are the group's
+  // features (f first), and each edge is { a, b, kind, evidence }, with a and b features. Features having
+  // the same cID (eg, one gene in several strains) are not connected to each other.
+  getHomologyGroup (f, genomes) {
+    genomes = this.fixGenomesArg(genomes)
+    const gs = new Set(genomes)
+    gs.add(f.genome)
+    return Promise.all(Array.from(gs).map(g => this.ensureHomologyData(g))).then(() => {
+      if (!f.cID) return { features: [f], edges: [], truncated: false }
+      const taxons = Array.from(new Set(genomes.map(g => this.getHomologyTaxon(g))))
+      const graph = this.homologyManager.getHomologyGraph(f.cID, this.getTaxonId(f), taxons, this.app.includeParalogs)
+      const cids = graph.nodes.map(n => n.id)
+      return Promise.all(genomes.map(g => this.ensureIds(g, cids))).then(() => {
+        // the features of each node
+        const nfeats = graph.nodes.map(n => this.getFeaturesByCid(n.id).filter(h => {
+          return genomes.indexOf(h.genome) >= 0 && this.getTaxonId(h) === n.taxon
+        }))
+        if (nfeats[0].indexOf(f) === -1) nfeats[0].unshift(f)
+        const features = [f].concat(u.flatten(nfeats).filter(h => h !== f))
+        const edges = []
+        graph.edges.forEach(e => nfeats[e.a].forEach(a => nfeats[e.b].forEach(b => {
+          edges.push({ a, b, kind: e.kind, evidence: e.evidence })
+        })))
+        return { features, edges, truncated: graph.truncated }
       })
     })
-    return hp.then(() => {
-        this.homologyManager.computeAllInferredParalogs()
-        return this.pending[g.name]
+  }
+  // Returns a promise for the features of genomes with the ID, cID, or symbol val (see getFeaturesBy),
+  // after loading them.
+  findFeatures (val, genomes) {
+    genomes = this.fixGenomesArg(genomes)
+    return Promise.all(genomes.map(g => this.ensureIds(g, [val]))).then(() => {
+      return this.getFeaturesBy(val).filter(f => genomes.indexOf(f.genome) !== -1)
     })
   }
+  // Returns a promise that resolves when the homology data for genome g's homology taxon have been loaded.
+  ensureHomologyData (g) {
+    const txid = this.getHomologyTaxon(g)
+    if (!this.homologyP[txid]) {
+      this.homologyP[txid] = this.homologyManager.loadHomologiesForTaxon(txid).then(loaded => {
+        // Most likely, the genome should share another taxon's data but doesn't say so
+        if (!loaded && !g.homologyTaxon) {
+          const msg = `No orthology data for taxon ${txid}, and genome ${g.name} declares no homologyTaxon. Its genes will have no homologs in other species.`
+          u.debug(msg)
+          this.app.$root.$emit('message', { message: msg })
+        }
+        return loaded
+      })
+    }
+    return this.homologyP[txid]
+  }
+  // Returns a promise for the names of the chromosomes of genome g that have features with
+  // any of the given IDs, cIDs, or symbols.
+  locate (g, ids) {
+    return this.getLocator(g).then(loc => {
+      const cns = new Set()
+      ids.forEach(id => [id, id.toLowerCase()].forEach(k => {
+        if (Object.prototype.hasOwnProperty.call(loc, k)) loc[k].forEach(cn => cns.add(cn))
+      }))
+      return Array.from(cns)
+    })
+  }
+  // Returns a promise for genome g's locator, which maps feature IDs, cIDs, and lower case symbols
+  // to the names of the chromosomes where they occur. Genomes should publish their locator, which is
+  // small, with their data (see GenomeRegistrar.getLocator). For one that doesn't, the locator can
+  // only be built from the whole genome, so the first time, this loads everything (see ensureFeatures).
+  // Either way, it's saved in the data cache, so later sessions can skip that.
+  getLocator (g) {
+    if (this.locators[g.name]) return this.locators[g.name]
+    const p = this.greg.getFetcher(g).then(fetcher => fetcher.getDerived('locator')).then(loc => {
+      return loc || this.greg.getLocator(g).then(ploc => {
+        if (ploc) return ploc
+        u.debug(`Genome ${g.name} has no locator. Loading all its features to build one.`)
+        return this.ensureFeatures(g).then(() => this.locators[g.name])
+      })
+    }).catch(err => {
+      delete this.locators[g.name]
+      throw err
+    })
+    this.locators[g.name] = p
+    return p
+  }
   //
-
-  //
-  _registerChr (g, c, feats) {
-    let freg = new FeatureRegistrar(g, c, this.id2feat, this.cid2feats, this.hid2feats, this.symbol2feats)
-    let cfeats = feats.map(f => freg.register(f)).filter(x => x)
-    this.cache[g.name][c.name] = cfeats.sort((a,b) => a.start - b.start)
-    return cfeats
+  _buildLocator (g) {
+    const loc = {}
+    const add = (k, cn) => {
+      const cns = loc[k] = loc[k] || []
+      if (cns.indexOf(cn) === -1) cns.push(cn)
+    }
+    g.chromosomes.forEach(c => (this.cache[g.name][c.name] || []).forEach(f => {
+      add(f.ID, c.name)
+      if (f.cID) add(f.cID, c.name)
+      if (f.symbol) add(f.symbol.toLowerCase(), c.name)
+    }))
+    return loc
+  }
+  // Returns the blocks of one of genome g's gene tracks (read by reader) covering the range s..e of
+  // chromosome c. A block is the unit of loading: one chunk of a chunked file (chunkSize > 1),
+  // one chromosome (chunkSize 1, or tabix indexed), or the whole genome (chunkSize 0). Each block is
+  // { track, key, length, read }, where length is the number of bases covered and read(opts) returns a promise
+  // for its unparsed pieces (see ChunkedFileReader.readRangeBytes).
+  _blocks (g, reader, c, s, e) {
+    const cs = reader.chunkSize
+    const track = reader.name
+    if (cs === 0) {
+      const length = g.chromosomes.reduce((v, cc) => v + cc.length, 0)
+      return [{ track, key: `${track}/*`, length, read: opts => reader.readAllBytes(opts) }]
+    } else if (cs > 1) {
+      // same chunk numbering as ChunkedFileReader.fetchChunks
+      const minBlk = Math.max(0, Math.floor(s / cs))
+      const maxBlk = Math.max(minBlk, Math.floor(Math.min(e, c.length) / cs))
+      const blocks = []
+      for (let i = minBlk; i <= maxBlk; i++) {
+        blocks.push({
+          track,
+          key: `${track}/${c.name}:${i}`,
+          length: Math.max(0, Math.min(cs, c.length - i * cs)),
+          read: opts => reader.readRangeBytes(c, i * cs, (i + 1) * cs - 1, opts)
+        })
+      }
+      return blocks
+    } else {
+      return [{ track, key: `${track}/${c.name}`, length: c.length, read: opts => reader.readRangeBytes(c, 1, c.length, opts) }]
+    }
+  }
+  // Loads block b (see _blocks) of genome g and registers its features. Returns a promise.
+  // Concurrent and repeated loads of a block share one promise. A failed or cancelled load may be retried.
+  // The load is cancelled when all callers waiting for it have aborted (opts.signal). A caller without
+  // a signal keeps it going.
+  _loadBlock (g, b, opts) {
+    const gblocks = this.blocks[g.name] = this.blocks[g.name] || {}
+    let ld = gblocks[b.key]
+    if (!ld) {
+      ld = gblocks[b.key] = { controller: new AbortController(), waiting: 0, done: false }
+      const lopts = { signal: ld.controller.signal, priority: opts.priority }
+      ld.promise = this._readBlock(g, b, lopts).then(() => {
+        ld.done = true
+        return true
+      }).catch(err => {
+        if (gblocks[b.key] === ld) delete gblocks[b.key]
+        throw err
+      })
+    }
+    if (!ld.done) {
+      ld.waiting += 1
+      if (opts.signal) {
+        opts.signal.addEventListener('abort', () => {
+          ld.waiting -= 1
+          if (ld.waiting === 0 && !ld.done) ld.controller.abort()
+        }, { once: true })
+      }
+    }
+    return ld.promise
+  }
+  // Reads and parses block b of genome g, and registers its features (see _loadBlock).
+  // Returns a promise.
+  _readBlock (g, b, opts) {
+    return b.read(opts).then(pieces => {
+      // Parsing happens in the worker. Here we just register and index the results.
+      const args = {
+        genome: { name: g.name, chromosomes: g.chromosomes.map(c => ({ name: c.name })) },
+        pieces,
+        featureSizeLimit: config.DataManager.featureSizeLimit
+      }
+      return this.featureWorker.run('genes', args, opts)
+    }).then(result => {
+      Object.keys(result.features).forEach(cn => this._registerChr(g, g.name2chr[cn], result.features[cn], b.track))
+      if (b.track !== GENES_TRACK) return true
+      // feature density (features per Mb), estimated from what's been loaded so far
+      const lengths = this.loadedLength
+      lengths[g.name] = (lengths[g.name] || 0) + b.length
+      const nfeats = Object.values(this.cache[g.name] || {}).reduce((v, cfeats) => v + cfeats.length, 0)
+      if (lengths[g.name] > 0 && nfeats > 0) g.featureDensity = nfeats / lengths[g.name] * 1000000
+      return true
+    })
+  }
+  // Registers features of chromosome c of genome g from the given gene track, as built by the worker
+  // (sorted by start), and adds them to the cache. Features already registered (eg, ones spanning chunk
+  // boundaries) are skipped.
+  _registerChr (g, c, feats, track) {
+    const reg = this._registry(g, track)
+    let freg = new FeatureRegistrar(g, c, reg.id2feat, reg.cid2feats, null, reg.symbol2feats, track, reg.synonym2feats)
+    const nfeats = feats.filter(f => {
+      const f0 = reg.id2feat[f.ID]
+      return !(f0 && f0.genome === g)
+    }).map(f => freg.register(f))
+    if (reg.cache[c.name] && nfeats.length === 0) return
+    const cfeats = (reg.cache[c.name] || []).concat(nfeats).sort((a,b) => a.start - b.start)
+    reg.cache[c.name] = cfeats
+    reg.index[c.name] = new IntervalIndex(cfeats)
+  }
+  // Returns the registry for the features of gene track track of genome g: { cache, index, id2feat,
+  // cid2feats, symbol2feats, synonym2feats }, where cache and index are by chromosome name. The primary track's
+  // lookup indexes are the ones shared by all genomes; each additional annotation set has its own.
+  _registry (g, track) {
+    if (!track || track === GENES_TRACK) {
+      return {
+        cache: this.cache[g.name] = this.cache[g.name] || {},
+        index: this.index[g.name] = this.index[g.name] || {},
+        id2feat: this.id2feat,
+        cid2feats: this.cid2feats,
+        symbol2feats: this.symbol2feats,
+        synonym2feats: this.synonym2feats
+      }
+    }
+    const gsets = this.sets[g.name] = this.sets[g.name] || {}
+    gsets[track] = gsets[track] || { cache: {}, index: {}, id2feat: {}, cid2feats: {}, symbol2feats: {}, synonym2feats: {} }
+    return gsets[track]
+  }
+  // Returns the gene annotation sets of genome g, primary first. Each is { track, label, transcripts, primary },
+  // where track and transcripts name the set's genes and transcripts (models) tracks. The primary set is
+  // the 'genes' track. Any other GFF3 track that names a transcripts track is an additional set, eg:
+  //    { "name": "ensembl.genes", "type": "TabixGff3", "label": "Ensembl", "transcripts": "ensembl.transcripts", ... }
+  getAnnotationSets (g) {
+    const tracks = g.tracks || []
+    const pt = tracks.filter(t => t.name === GENES_TRACK)[0] || {}
+    const primary = { track: GENES_TRACK, label: pt.label || 'Genes', transcripts: pt.transcripts || 'transcripts', primary: true }
+    return [primary].concat(tracks.filter(t => {
+      return t.name !== GENES_TRACK && t.transcripts && (t.type === 'ChunkedGff3' || t.type === 'TabixGff3')
+    }).map(t => {
+      return { track: t.name, label: t.label || t.name, transcripts: t.transcripts, primary: false }
+    }))
+  }
+  // Returns the annotation set (see getAnnotationSets) of genome g with the given gene track.
+  getAnnotationSet (g, track) {
+    return this.getAnnotationSets(g).filter(a => a.track === (track || GENES_TRACK))[0]
+  }
+  // Returns the (loaded) features from the other annotation sets of f's genome that match f by ID,
+  // canonical ID, or symbol. Eg, for an MGI gene, its Ensembl and RefSeq models.
+  getMatchingFeatures (f) {
+    const g = f.genome
+    const matches = new Set()
+    const add = fs => fs.forEach(x => x.genome === g && matches.add(x))
+    this.getAnnotationSets(g).filter(a => a.track !== (f.track || GENES_TRACK)).forEach(a => {
+      const reg = this._registry(g, a.track)
+      const ids = f.cID ? [f.ID, f.cID] : [f.ID]
+      ids.forEach(id => {
+        if (reg.id2feat[id]) add([reg.id2feat[id]])
+        add(reg.cid2feats[id] || [])
+      })
+      if (f.symbol) add(reg.symbol2feats[f.symbol.toLowerCase()] || [])
+    })
+    return Array.from(matches)
   }
   // Returns a promise for all the feature of the specified genome, as a list, sorted by
-  // chr and start position.
+  // chr and start position. If c is specified, only loads and returns the features of that chromosome.
   getAllFeatures (g, c) {
-    return this.ensureFeatures(g).then(() => this.getAllFeaturesNow(g, c))
+    const p = c ? this.ensureChromosome(g, c) : this.ensureFeatures(g)
+    return p.then(() => this.getAllFeaturesNow(g, c))
   }
   // Immediate version of getAllFeatures. Returns whatever is in the cache
   getAllFeaturesNow (g, c) {
+    const gcache = this.cache[g.name] || {}
     return u.concatAll(g.chromosomes.filter(
            cc => (!c || c === cc) ? cc : null).map(
-           cc => this.cache[g.name][cc.name]))
+           cc => gcache[cc.name] || []))
+  }
+  // Returns the (cached) features of genome g that overlap the range s..e of chromosome c, sorted by start.
+  // If track is specified, the features come from that gene track (see getAnnotationSets) instead of the primary one.
+  getFeaturesInRangeNow (g, c, s, e, track) {
+    const gindex = track && track !== GENES_TRACK ? this._registry(g, track).index : this.index[g.name]
+    const cindex = gindex && gindex[c.name]
+    return cindex ? cindex.query(s, e) : []
   }
   // Returns a promise for the features in the specified range of the specified genome
-  getGenes (g, c, s, e, includeTranscripts) {
-    return this.ensureFeatures(g).then(() => {
-      let feats = this.cache[g.name][c.name]
-      feats = feats.filter(f => gc.overlaps(f, { chr: c, start: s, end: e }))
+  // Args:
+  //   g, c, s, e - genome, chromosome, start, end
+  //   includeTranscripts - if true, attaches the transcripts (see getModels)
+  //   opts - optional. { signal, priority } for the data requests (see RequestQueue), and
+  //     track, the gene track to read (see getAnnotationSets). Default: the primary one.
+  getGenes (g, c, s, e, includeTranscripts, opts) {
+    opts = opts || {}
+    return this.ensureRange(g, c, s, e, { track: opts.track, signal: opts.signal, priority: opts.priority }).then(() => {
+      const feats = this.getFeaturesInRangeNow(g, c, s, e, opts.track)
       if (includeTranscripts) {
-        return this.getModels(g, c, s, e).then(tps => {
+        return this.getModels(g, c, s, e, opts).then(tps => {
           // The getModels call returns all transcripts in the region.
           // Here we attach them to their genes.
           // Index the transcripts by gene ID.
@@ -176,7 +472,8 @@ class DataManager {
         return s.substr(s.indexOf(':')+1)
   }
   // Returns a promise for the variants in the specified range
-  getVariants (g, c, s, e) {
+  // The optional opts are as for getGenes.
+  getVariants (g, c, s, e, opts) {
     /*
      * Splits strings coding multiple values ala VEP output.
      * Strings may have 0, 1, or 2 levels of multiples
@@ -184,12 +481,14 @@ class DataManager {
      *  1 : multiples separated by comma, eg "foo,bar,baz"
      *  2 : multiples separated by pipe of multiples separated by comma
      *      e.g. "foo1,foo2|bar1|baz1,baz2,baz3"
+     * Values declared in the VCF header with Number != 1 arrive already split by comma.
      */
     const splitString = function(s, levels) {
-      if (s === undefined) return
+      if (s === undefined || s === null) return
       if (levels === 0) return s
-      if (levels === 1) return s.split(',')
-      if (levels === 2) return s.split(',').map(ss => ss.split('|'))
+      const items = Array.isArray(s) ? s : s.split(',')
+      if (levels === 1) return items
+      if (levels === 2) return items.map(ss => ss === null ? [] : ss.split('|'))
     }
     /*
      * Parses structured data encoded in INFO column attributes.
@@ -211,7 +510,7 @@ class DataManager {
 
     return this.greg.getReader(g, 'variants').then(reader => {
       if (!reader) return []
-      return reader.readRange(c, s, e).then(vars => {
+      return reader.readRange(c, s, e, opts).then(vars => {
           return vars.map(v => {
             const attrs = v[7]
             //
@@ -251,15 +550,21 @@ class DataManager {
             } else {
                 attrs['transcreipts'] = []
             }
+            // VCFs other than the Alliance's have no HGVS names. Fall back on the ID column, then the position.
+            const vid = attrs['hgvs_nomenclature'] || (v[2] !== '.' ? v[2] : `${c.name}:${v[1]}:${v[3]}>${v[4].join(',')}`)
             return {
-              ID: attrs['hgvs_nomenclature'],
+              ID: vid,
               genome: g,
               chr: c,
               symbol: attrs['alleles'].map(a => a.symbolText).join(","),
               start: v[1],
               end: v[1] + v[3].length - 1,
               ref: v[3],
-              alt: v[4],
+              alt: v[4].join(','),
+              alts: v[4],
+              qual: v[5],
+              filter: v[6],
+              genotypes: vcf.record2object(v, reader.header).samples,
               so_term: attrs['soTerm'],
               gEffects: attrs['genes'],
               aEffects: attrs['alleles'],
@@ -274,89 +579,41 @@ class DataManager {
       })
     })
   }
+  // Returns the quantitative (signal) tracks, eg BigWig, of genome g.
+  getSignalTracks (g) {
+    return (g.tracks || []).filter(t => t.type === 'BigWig')
+  }
+  // Returns a promise for the signal data of all quantitative tracks of genome g in the specified range.
+  // Args:
+  //   g, c, s, e - genome, chromosome, start, end
+  //   bpp - (optional) bases per pixel of the display. Used to pick a summary (zoom) level.
+  //   opts - (optional) as for getGenes
+  // Resolves to a list of { track, data } objects, one per track. Each data item has
+  // start, end, value, min, and max.
+  getSignals (g, c, s, e, bpp, opts) {
+    const ps = this.getSignalTracks(g).map(t => {
+      return this.greg.getReader(g, t.name).then(reader => {
+        return reader.readRange(c, s, e, bpp, opts).then(data => {
+          return { track: t, data: data }
+        })
+      })
+    })
+    return Promise.all(ps)
+  }
   // Returns a promise for the transcripts of features that overlap the 
   // specified range of the specified genome. Each transcript includes
   // its exons. Coding transcripts also contain the coordinates of the
-  // start and stop codons.
-  getModels (g, c, s, e) {
-    return this.greg.getReader(g, 'transcripts').then(reader => {
-      return reader.readRange(c, s, e).then(ts => {
-        const val = ts.map(t => {
-          const exons = this._unpackExons(t)
-          const tlen = exons.reduce((l,x) => l + x.end - x.start + 1, 0)
-          const cds = this._unpackCds(t[8]['cds'], tlen, exons, t.strand)
-          const attrs = t[8]
-          const tt= {
-            gID: attrs['Parent'],
-            ID: attrs['ID'],
-            label: this.stripPrefix(attrs['Name'] || attrs['transcript_id'] || attrs['ID']),
-            transcript_id: attrs['transcript_id'],
-            exons: exons,
-            start: Math.min.apply(null,exons.map(e => e.start)),
-            end: Math.max.apply(null,exons.map(e => e.end)),
-            strand: t[6],
-            length: tlen,
-            cds: cds
-          }
-          return tt
-        }).sort((a,b) => {
-          return a.label < b.label ? -1 : a.label > b.label ? 1 : 0
-        })
-        return val
+  // start and stop codons. The optional opts are as for getGenes.
+  getModels (g, c, s, e, opts) {
+    const aset = this.getAnnotationSet(g, opts && opts.track)
+    return this.greg.getReader(g, aset.transcripts).then(reader => {
+      if (!reader) return []
+      // parsing and exon/CDS unpacking happen in the worker
+      return reader.readRangeBytes(c, s, e, opts).then(pieces => {
+        return this.featureWorker.run('models', { pieces, start: s, end: e }, opts)
       })
     })
   }
-  // Exons of a transcript are encoded as a string such as "0_110,2100_344,..."
-  // where for each N_M item, N is the offset of the exon from the start of the transcript
-  // and M is the exon's length.
-  // Here we parse the string and produce a list of exons each with full start and end coordinates.
-  _unpackExons (t) {
-    const exonsAttr = t[8]['exons']
-    if (!exonsAttr) {
-      return [{start: t[3], end: t[4]}]
-    }
-    const ecoords = exonsAttr.split(',').map(s => s.split('_').map(s => parseInt(s)))
-    return ecoords.map(ec => { return { start: t[3] + ec[0], end: t[3] + ec[0] + ec[1] - 1 } })
-  }
-  // CDSs of a transcript are encoded as "ID|start|end", where ID is the CDSs ID and start and end are
-  // the positions of the start and stop codons. (Reminder: Coordinates are always forward strand. To know
-  // which is the start codon and which is the stop codon, you have to look at the strand of the gene.)
-  _unpackCds (cdsAttr, tlen, exons, strand) {
-    if (!cdsAttr) return null
-    const parts = cdsAttr.split('|')
-    const c = {
-      ID: parts[0],
-      protein_id: parts[1],
-      label: this.stripPrefix(parts[1] || parts[0]),
-      start: parseInt(parts[2]),
-      end: parseInt(parts[3])
-    }
-    // compute the length of the CDS by adding up the included exons (taking care not to
-    // include UTRs)
-    const PUTR = strand === "+" ? '5_prime_utr' : '3_prime_utr'
-    const DUTR = strand === "+" ? '3_prime_utr' : '5_prime_utr'
-    const CDS = 'cds'
-    c.pieces = exons.reduce((a,r) => {
-      // make a copy so we don't munge the exon object
-      const x = { start: r.start, end: r.end }
-      if (x.end < c.start) {
-          a.push({ start: x.start, end: x.end, type: PUTR })
-      }
-      else if (x.start > c.end) {
-          a.push({ start: x.start, end: x.end, type: DUTR })
-      } else {
-          const pUTR = { start: x.start, end: Math.min(c.start - 1, x.end), type: PUTR }
-          if (pUTR.start <= pUTR.end) a.push(pUTR)
-          const cds = { start: Math.max(c.start, x.start), end: Math.min(c.end, x.end), type: CDS }
-          a.push(cds)
-          const dUTR = { start: Math.max(c.end + 1, x.start), end: x.end, type: DUTR }
-          if (dUTR.start <= dUTR.end) a.push(dUTR)
-      }
-      return a
-    }, [])
-    c.length = c.pieces.reduce((a,x) => a + (x.type==='cds' ? x.end - x.start + 1 : 0), 0)
-    return c
-  }
   // Given transcripts for a gene, returns an object containing (1) the "distinct" exons, and 
   // (2) the "composite" exons
   _computedExons (tps) {
@@ -386,19 +643,52 @@ class DataManager {
       composite: cExons
     }
   }
-  // 
+  // Returns the indexed FASTA track of genome g, or undefined if it has none.
+  getFastaTrack (g) {
+    return ((g && g.tracks) || []).filter(t => t.type === 'IndexedFasta')[0]
+  }
+  // Returns true iff the sequences for all the given descriptors can be extracted in the browser,
+  // ie, all their genomes have indexed FASTA tracks.
+  hasLocalSequences (descrs) {
+    return descrs.every(d => this.getFastaTrack(this.lookupGenome(d.genome)))
+  }
+  // Returns a promise for the sequences of the given descriptors, as FASTA text.
+  // Sequences are extracted in the browser if possible, otherwise by the server.
   getSequences (descrs, filename) {
+    if (this.hasLocalSequences(descrs)) {
+      return Promise.all(descrs.map(d => this.extractSequence(d))).then(seqs => seqs.join(''))
+    }
     const fparam = filename ? `&filename=${filename}` : ''
     const params = `descriptors=${JSON.stringify(descrs)}${fparam}`
-    return u.fetch(this.fetchUrl, 'text', params)
+    return this.dataSource.fetch(this.fetchUrl, 'text', params)
+  }
+  // Extracts the sequence of descriptor d (see makeSequenceDescriptor) from its genome's indexed FASTA.
+  // The pieces are concatenated, then reverse complemented and/or translated, as specified.
+  // Returns a promise for the FASTA record (text).
+  extractSequence (d) {
+    const g = this.lookupGenome(d.genome)
+    const c = g.name2chr[d.chromosome] || { name: d.chromosome }
+    const starts = [].concat(d.start)
+    const lengths = [].concat(d.length)
+    return this.greg.getReader(g, this.getFastaTrack(g).name).then(reader => {
+      return Promise.all(starts.map((s, i) => reader.readSequence(c, s, s + lengths[i] - 1)))
+    }).then(pieces => {
+      let seq = pieces.join('')
+      if (d.reverseComplement) seq = reverseComplement(seq)
+      if (d.translate && seq) seq = translate(seq)
+      const lines = seq.match(new RegExp(`.{1,${config.DataManager.fastaLineLength}}`, 'g')) || []
+      const header = d.header.startsWith('>') ? d.header : '>' + d.header
+      return [header].concat(lines).join('\n') + '\n'
+    })
   }
+  // Alignments are computed by the server.
   getAlignments (descrs) {
     const params = `descriptors=${JSON.stringify(descrs)}&return=alignments`
-    return u.fetch(this.fetchUrl, 'json', params)
+    return this.dataSource.fetch(this.fetchUrl, 'json', params)
   }
   getExonAlignmentScores (descrs) {
     const params = `descriptors=${JSON.stringify(descrs)}&return=exonscores`
-    return u.fetch(this.fetchUrl, 'json', params)
+    return this.dataSource.fetch(this.fetchUrl, 'json', params)
   }
   // 
   // Returns a promise for the genomic sequence of the specified range for the specified genome
@@ -464,7 +754,7 @@ class DataManager {
   getHomologCids (f, genomes) {
     if (!f.cID) return [f.ID]
     genomes = genomes || this.app.vGenomes
-    const taxons = Array.from(new Set(genomes.map(g => this.fixTaxonId(g.metadata.taxonid))))
+    const taxons = Array.from(new Set(genomes.map(g => this.getHomologyTaxon(g))))
     const hm = this.homologyManager
     const txA = this.getTaxonId(f)
     if (this.app.includeParalogs) {
@@ -481,7 +771,8 @@ class DataManager {
   //    genomes : genomes to get homologs for. If not specified,
   //            gets homologs for all currently selected genomes.
   // Returns:
-  //    List of features from the specified genome(s) that are homologous to f
+  //    List of features from the specified genome(s) that are homologous to f.
+  //    Only loaded features are returned. To load them first, use ensureHomologs.
   //
   getHomologs (f, genomes) {
     genomes = this.fixGenomesArg(genomes)
@@ -515,6 +806,33 @@ class DataManager {
     //
     return false
   }
+  // Returns the (loaded) features of genome g that correspond to feature f. In genomes of f's homology
+  // taxon (see getHomologyTaxon), these are the features with f's cID, ie, its copies. In others, they
+  // are its homologs (see getHomologs).
+  getCorresponding (f, g) {
+    if (this.getHomologyTaxon(g) !== this.getTaxonId(f)) return this.getHomologs(f, [g])
+    if (!f.cID) return f.genome === g ? [f] : []
+    return this.getFeaturesByCid(f.cID).filter(h => h.genome === g)
+  }
+  // Returns the evidence (see HomologyManager.makeEvidence) that fB is an ortholog of fA, or null if there
+  // is none (including when they are the same gene, or in the same taxon).
+  getHomologyEvidence (fA, fB) {
+    if (!fA.cID || !fB.cID || fA.cID === fB.cID) return null
+    const txA = this.getTaxonId(fA)
+    const txB = this.getTaxonId(fB)
+    if (txA === txB) return null
+    return this.homologyManager.getEvidence(fA.cID, txA, fB.cID, txB)
+  }
+  // Returns a short description of how fB relates to fA, eg, "same gene", "inferred paralog", or the
+  // evidence for their orthology. Returns '' if fA and fB are the same feature, or unrelated.
+  describeHomology (fA, fB) {
+    if (fA === fB || fA.ID === fB.ID) return ''
+    if (fA.cID && fA.cID === fB.cID) return 'same gene'
+    if (!fA.cID || !fB.cID) return ''
+    if (this.getTaxonId(fA) === this.getTaxonId(fB)) return 'inferred paralog'
+    const ev = this.getHomologyEvidence(fA, fB)
+    return ev ? this.homologyManager.describeEvidence(ev) : ''
+  }
   //
   fixGenomesArg (genomes) {
     if (!genomes) {
@@ -525,15 +843,17 @@ class DataManager {
       return genomes
     }
   }
-  // Hacky function so that all mouse species are considered the same
-  fixTaxonId (taxonid) {
-    if (taxonid.startsWith("100")) taxonid = "10090"
-    return taxonid
+  // Returns the taxon genome g is grouped under for homology: the taxon whose orthology data it uses.
+  // This is the descriptor's homologyTaxon, if declared, else the one config.DataManager.homologyTaxa
+  // gives for the genome, else the genome's own taxon. Eg, mouse strain genomes declare
+  // "homologyTaxon": "10090", so they share the mouse orthology data, and their genes are related
+  // to each other through shared canonical IDs (not as paralogs).
+  getHomologyTaxon (g) {
+    return g.homologyTaxon || config.DataManager.homologyTaxa[g.name] || g.metadata.taxonid
   }
-  //
+  // Returns the homology taxon of feature f's genome (see getHomologyTaxon).
   getTaxonId (f) {
-    const t = f.genome.metadata.taxonid
-    return this.fixTaxonId(t)
+    return this.getHomologyTaxon(f.genome)
   }
   //
   flushAllGenomeData () {
@@ -543,6 +863,12 @@ class DataManager {
   flushGenome (g) {
      const gn = g.name || g
      const gcache = this.cache[gn]
+     delete this.index[gn]
+     delete this.blocks[gn]
+     delete this.loadedLength[gn]
+     delete this.complete[gn]
+     delete this.locators[gn]
+     delete this.sets[gn]
      if (gcache) {
        delete this.cache[gn]
        for (let cn in gcache) {
@@ -563,6 +889,14 @@ class DataManager {
                delete this.symbol2feats[fs]
              }
            }
+           f.synonyms.forEach(syn => {
+             const sfeats = this.synonym2feats[syn]
+             if (!sfeats) return
+             this.synonym2feats[syn] = sfeats.filter(ff => ff !== f)
+             if (this.synonym2feats[syn].length === 0) {
+               delete this.synonym2feats[syn]
+             }
+           })
          }, this)
        }
      }
@@ -570,58 +904,48 @@ class DataManager {
 }
 // Registers features for one chromsome of a genome
 class FeatureRegistrar {
-  constructor (g, c, id2f, cid2f, hid2f, sym2f) {
+  constructor (g, c, id2f, cid2f, hid2f, sym2f, track, syn2f) {
     // each chromosome of each genome has its own registrar
     this.genome = g
     this.chr = c
+    // the gene track the features come from
+    this.track = track || GENES_TRACK
     // map feature.ID => feature
     this.id2feat = id2f
     // map feature.cID => [ features ]
     this.cid2feats = cid2f
     // map feature.symbol => [ features ]
     this.symbol2feats = sym2f
+    // map synonym => [ features ] (optional)
+    this.synonym2feats = syn2f
   }
   // Args:
-  //   r - a parsed GFF3(-like) record
-  register (r) {
-    const f = gff3.record2object(r)
-    f.transcripts = []
-    f.composite = {}
-    f.sotype = f.type
+  //   f - a feature object, as built by the features worker
+  register (f) {
     f.genome = this.genome
     f.chr = this.chr
-    //
-    f.length = f.end - f.start + 1
-    if (f.length > config.DataManager.featureSizeLimit) {
-      // console.log('Feature too big. Skipping: ', f)
-      return null
-    }
+    f.track = this.track
     //
     this.id2feat[f.ID] = f
     if (f.cID) {
       let d = this.cid2feats[f.cID]
       if (!d) d = this.cid2feats[f.cID] = []
       d.push(f)
-    } else {
-      f.cID = null // make sure it's not undefined
     }
     //
-    f.symbol = f.symbol || f.Name || f.gene_id
-    //
     if (f.symbol) {
       let lc = f.symbol.toLowerCase()
       let d = this.symbol2feats[lc]
       if (!d) d = this.symbol2feats[lc] = []
       d.push(f)
     }
-    // For convenience...
-    f.id = f.cID || f.ID
-    f.label = f.symbol || f.id
     //
-    f.layout = {
-        lane: 0,
-        y: 0,
-        height : 0
+    if (this.synonym2feats) {
+      f.synonyms.forEach(syn => {
+        let d = this.synonym2feats[syn]
+        if (!d) d = this.synonym2feats[syn] = []
+        d.push(f)
+      })
     }
     // For performance. Don't want to observe 10,000s of objects.
     // Vue is not reactive to frozen objects.
@@ -0,0 +1,212 @@
+import u from '@/lib/utils'
+import config from '@/config'
+import KeyStore from '@/lib/KeyStore'
+import zip from '@/lib/ziplite'
+
+// ---------------------------------------------------------------------
+// Data sources. A data source is where the app gets its data: genome descriptors (index.json),
+// annotation files, homology files, etc. All such reads go through the current data source,
+// so the same app can run against:
+//   - a web server (HttpDataSource). This is the default, at runtimeConfig.dataUrl.
+//   - a local directory chosen by the user (DirectoryDataSource), via the File System Access API.
+//   - a zip bundle imported into IndexedDB (BundleDataSource), for use without a network.
+// Local sources have the same layout as the server's data directory, and their files are
+// addressed by urls made from the source's url, eg "bundle://mgv/mus_musculus_aj/models/1/0.gff3".
+//
+// Every data source has:
+//   kind (string) one of: http, directory, bundle
+//   url (string) the base url. Urls of all files in the source start with this.
+//   label (string) for display
+//   hasServer (boolean) true iff server-side functions (fetch.cgi) are available
+//   cacheable (boolean) true iff reads are worth caching locally
+//   fetch (url, type, postData, opts) like utils.fetch
+//   fetchRange (url, start, length, opts) like utils.fetchRange
+//
+class HttpDataSource {
+  constructor (url) {
+    this.kind = 'http'
+    this.url = url
+    this.label = `Server (${url})`
+    this.hasServer = true
+    this.cacheable = true
+  }
+  fetch (url, type, postData, opts) {
+    return u.fetch(url, type, postData, opts)
+  }
+  fetchRange (url, start, length, opts) {
+    return u.fetchRange(url, start, length, opts)
+  }
+}
+
+// Base class for sources whose files are in the browser. Subclasses implement getBlob(path).
+// Urls outside the source (eg, absolute urls in a genome descriptor) are fetched over the net.
+class LocalDataSource {
+  constructor (kind, name, label) {
+    this.kind = kind
+    this.name = name
+    this.url = `${kind}://${name}/`
+    this.label = label
+    this.hasServer = false
+    this.cacheable = false
+  }
+  // Returns the path of url within this source, or null if url is not in this source.
+  // Empty and '.' path components are dropped, and '..' components are resolved.
+  getPath (url) {
+    if (!url.startsWith(this.url)) return null
+    const parts = url.substr(this.url.length).split('?')[0].split('/')
+    return parts.reduce((a, p) => {
+      if (p === '..') a.pop()
+      else if (p && p !== '.') a.push(decodeURIComponent(p))
+      return a
+    }, []).join('/')
+  }
+  fetch (url, type, postData, opts) {
+    if (postData) return Promise.reject(`This function requires a server, but the data source is ${this.label}.`)
+    const path = this.getPath(url)
+    if (path === null) return u.fetch(url, type, undefined, opts)
+    return this.getBlob(path).then(b => u.parseBody(b, type))
+  }
+  fetchRange (url, start, length, opts) {
+    const path = this.getPath(url)
+    if (path === null) return u.fetchRange(url, start, length, opts)
+    return this.getBlob(path).then(b => b.slice(start, start + length).arrayBuffer())
+  }
+}
+
+// A directory on the user's machine, as a FileSystemDirectoryHandle (from window.showDirectoryPicker).
+class DirectoryDataSource extends LocalDataSource {
+  constructor (handle) {
+    super('directory', handle.name, `Local folder (${handle.name})`)
+    this.handle = handle
+  }
+  // Returns a promise for the File at path (relative to the directory).
+  getBlob (path) {
+    const parts = path.split('/')
+    const fname = parts.pop()
+    const dirP = parts.reduce((p, d) => p.then(h => h.getDirectoryHandle(d)), Promise.resolve(this.handle))
+    return dirP.then(h => h.getFileHandle(fname)).then(fh => fh.getFile()).catch(() => {
+      return Promise.reject(`File not found: ${path} in ${this.label}`)
+    })
+  }
+}
+
+// A zip bundle previously imported (see importBundle). Files are stored in IndexedDB, keyed by bundle name and path.
+class BundleDataSource extends LocalDataSource {
+  constructor (name) {
+    super('bundle', name, `Bundle (${name})`)
+    this.kstore = new KeyStore(config.DataSource.bundleDbName)
+  }
+  getBlob (path) {
+    return this.kstore.get(`${this.name}::${path}`).then(buf => {
+      if (buf === undefined) return Promise.reject(`File not found: ${path} in ${this.label}`)
+      return new Blob([buf])
+    })
+  }
+}
+
+// ---------------------------------------------------------------------
+// The chosen data source and the list of imported bundles are saved, so they survive page reloads.
+const CURRENT_KEY = 'current'
+const BUNDLES_KEY = 'bundles'
+let sourceStore = null
+function getSourceStore () {
+  sourceStore = sourceStore || new KeyStore(config.DataSource.dbName)
+  return sourceStore
+}
+
+// Returns a promise for the data source to use. If the user has chosen a local source, and it's
+// still available, that's it. Otherwise, the server at runtimeConfig.dataUrl. In the latter case,
+// if the chosen source is unavailable, the returned source has a warning property saying why.
+// Args:
+//   runtimeConfig (object) the app's runtime config
+function getDataSource (runtimeConfig) {
+  const server = new HttpDataSource(runtimeConfig.dataUrl)
+  const fallback = (msg) => {
+    server.warning = msg
+    return server
+  }
+  return getSourceStore().get(CURRENT_KEY).then(cur => {
+    if (!cur || cur.kind === 'http') return server
+    if (cur.kind === 'directory') {
+      return cur.handle.queryPermission({ mode: 'read' }).then(perm => {
+        if (perm === 'granted') return new DirectoryDataSource(cur.handle)
+        return fallback(`Permission is needed to read folder ${cur.handle.name}. Use the Data Source panel to reconnect.`)
+      })
+    }
+    return getBundles().then(bundles => {
+      if (bundles.some(b => b.name === cur.name)) return new BundleDataSource(cur.name)
+      return fallback(`Bundle ${cur.name} not found.`)
+    })
+  }).catch(err => fallback(`Could not open the chosen data source: ${err}`))
+}
+
+// Saves the user's choice of data source, which takes effect when the app is next loaded.
+// Args:
+//   choice (object) one of: { kind: 'http' }, { kind: 'directory', handle }, { kind: 'bundle', name }
+function setDataSource (choice) {
+  return getSourceStore().set(CURRENT_KEY, choice)
+}
+
+// Returns a promise for the saved choice of data source (see setDataSource), or undefined.
+function getDataSourceChoice () {
+  return getSourceStore().get(CURRENT_KEY)
+}
+
+// Returns a promise for the list of imported bundles: [{ name, fileName, count, size, created }]
+function getBundles () {
+  return getSourceStore().get(BUNDLES_KEY).then(bs => bs || [])
+}
+
+// Imports a zip file (a File object) as a bundle. The zip must contain an index.json (possibly in
+// a subdirectory), which is the root of the bundle. Returns a promise for the new bundle's descriptor.
+// Args:
+//   file (File) the zip file
+//   progress (function) optional. Called with (done, total) as files are stored.
+function importBundle (file, progress) {
+  const bstore = new KeyStore(config.DataSource.bundleDbName)
+  return Promise.all([file.arrayBuffer(), getBundles()]).then(([buf, bundles]) => {
+    const entries = zip.readEntries(buf).filter(e => !e.isDirectory)
+    const index = entries.filter(e => e.name === 'index.json' || e.name.endsWith('/index.json'))
+      .sort((a, b) => a.name.length - b.name.length)[0]
+    if (!index) u.fail(`No index.json in ${file.name}`)
+    const root = index.name.substr(0, index.name.length - 'index.json'.length)
+    const members = entries.filter(e => e.name.startsWith(root))
+    let name = file.name.replace(/\.zip$/i, '')
+    const names = new Set(bundles.map(b => b.name))
+    for (let i = 1; names.has(name); i++) name = `${file.name.replace(/\.zip$/i, '')} (${i})`
+    // one at a time, to limit memory use
+    let done = 0
+    const p = members.reduce((pp, e) => pp.then(() => {
+      return zip.extract(buf, e).then(data => bstore.set(`${name}::${e.name.substr(root.length)}`, data)).then(() => {
+        done += 1
+        if (progress) progress(done, members.length)
+      })
+    }), Promise.resolve())
+    return p.then(() => {
+      const bundle = { name, fileName: file.name, count: members.length, size: file.size, created: new Date() }
+      return getSourceStore().set(BUNDLES_KEY, bundles.concat([bundle])).then(() => bundle)
+    })
+  })
+}
+
+// Deletes an imported bundle and all its files. Returns a promise.
+function deleteBundle (name) {
+  const bstore = new KeyStore(config.DataSource.bundleDbName)
+  return bstore.keys().then(keys => {
+    return Promise.all(keys.filter(k => k.startsWith(name + '::')).map(k => bstore.del(k)))
+  }).then(() => getBundles()).then(bundles => {
+    return getSourceStore().set(BUNDLES_KEY, bundles.filter(b => b.name !== name))
+  })
+}
+
+export {
+  HttpDataSource,
+  DirectoryDataSource,
+  BundleDataSource,
+  getDataSource,
+  getDataSourceChoice,
+  setDataSource,
+  getBundles,
+  importBundle,
+  deleteBundle
+}
@@ -0,0 +1,106 @@
+import u from '@/lib/utils'
+import { MAX_BLOCK_SIZE, bgzfBlocks, inflateBlocks, concatBytes } from '@/lib/bgzf'
+
+// ---------------------------------------------------------------------
+// Reads subsequences from an indexed FASTA file (as made by samtools faidx), using range requests.
+// The file may be plain or bgzipped. Either way, it needs a .fai index, which gives the offset and
+// line layout of each sequence. A bgzipped file also needs a .gzi index, which maps offsets in the
+// uncompressed data to BGZF blocks in the file.
+//
+class FastaFileReader {
+  // Args:
+  //   fetcher (CachingFetcher) used for all requests
+  //   name (string) the track name
+  //   genome (object) the genome descriptor
+  //   url (string) the URL of the FASTA file. If it ends with .gz, it must be bgzipped.
+  //   faiUrl (string) optional. The URL of the .fai index. Default: url + '.fai'
+  //   gziUrl (string) optional. The URL of the .gzi index. Default: url + '.gzi'
+  constructor (fetcher, name, genome, url, faiUrl, gziUrl) {
+    this.fetcher = fetcher
+    this.name = name
+    this.genome = genome
+    this.url = url
+    this.faiUrl = faiUrl || url + '.fai'
+    this.gziUrl = gziUrl || url + '.gzi'
+    this.compressed = url.endsWith('.gz')
+    this.faiP = null
+    this.gziP = null
+  }
+  // Returns a promise for the .fai index, a mapping from sequence name to
+  // { length, offset, lineBases, lineWidth }.
+  readFai () {
+    if (this.faiP) return this.faiP
+    this.faiP = this.fetcher.fetch(this.faiUrl, 'text').then(text => {
+      return text.split('\n').reduce((a, l) => {
+        const f = l.split('\t')
+        if (f.length >= 5) {
+          a[f[0]] = { length: parseInt(f[1]), offset: parseInt(f[2]), lineBases: parseInt(f[3]), lineWidth: parseInt(f[4]) }
+        }
+        return a
+      }, {})
+    })
+    return this.faiP
+  }
+  // Returns a promise for the .gzi index, a list of { c, u } giving the compressed and uncompressed
+  // offsets of each BGZF block, in order. Resolves to null for plain files.
+  readGzi () {
+    if (!this.compressed) return Promise.resolve(null)
+    if (this.gziP) return this.gziP
+    this.gziP = this.fetcher.fetch(this.gziUrl, 'arraybuffer').then(buf => {
+      const dv = new DataView(buf)
+      const uint64 = pos => dv.getUint32(pos, true) + dv.getUint32(pos + 4, true) * 4294967296
+      const n = uint64(0)
+      // the first block (at 0, 0) is implicit
+      const blocks = [{ c: 0, u: 0 }]
+      for (let i = 0; i < n; i++) {
+        blocks.push({ c: uint64(8 + 16 * i), u: uint64(16 + 16 * i) })
+      }
+      return blocks
+    })
+    return this.gziP
+  }
+  // Finds the name used for chromosome c in the file. Tolerates the "chr" prefix being present
+  // in one place but not the other. Returns null if not found.
+  getRefName (fai, c) {
+    const n = c.name
+    const alts = [n, 'chr' + n, n.replace(/^chr/, '')]
+    return alts.filter(a => fai[a])[0] || null
+  }
+  // Returns a promise for bytes [start, end) of the (uncompressed) file, as a Uint8Array.
+  readBytes (start, end, gzi) {
+    if (!gzi) return this.fetcher.fetchRange(this.url, start, end - start).then(buf => new Uint8Array(buf))
+    // first block is the last one starting at or before start
+    let i = 0
+    while (i + 1 < gzi.length && gzi[i + 1].u <= start) i++
+    let j = i
+    while (j < gzi.length && gzi[j].u < end) j++
+    // If the range extends into the last block, its size is unknown. Read enough to cover it.
+    const cEnd = j < gzi.length ? gzi[j].c : gzi[gzi.length - 1].c + MAX_BLOCK_SIZE
+    return this.fetcher.fetchRange(this.url, gzi[i].c, cEnd - gzi[i].c).then(buf => {
+      return inflateBlocks(buf, bgzfBlocks(buf))
+    }).then(blocks => {
+      return concatBytes(blocks).subarray(start - gzi[i].u, end - gzi[i].u)
+    })
+  }
+  // Returns a promise for the sequence of chromosome c from start to end (1-based, closed).
+  // The range is clipped to the ends of the chromosome.
+  readSequence (c, start, end) {
+    return Promise.all([this.readFai(), this.readGzi()]).then(([fai, gzi]) => {
+      const refName = this.getRefName(fai, c)
+      if (!refName) u.fail(`Sequence ${c.name} not found in ${this.url}`)
+      const ref = fai[refName]
+      const s = Math.max(1, start) - 1
+      const e = Math.min(end, ref.length)
+      if (e <= s) return ''
+      // byte offset of (0-based) position p
+      const offset = p => ref.offset + Math.floor(p / ref.lineBases) * ref.lineWidth + p % ref.lineBases
+      return this.readBytes(offset(s), offset(e - 1) + 1, gzi).then(bytes => {
+        return new TextDecoder().decode(bytes).replace(/\s/g, '')
+      })
+    })
+  }
+}
+
+export {
+  FastaFileReader
+}
@@ -0,0 +1,192 @@
+import gff from '@/lib/gff3lite'
+
+// ---------------------------------------------------------------------
+// Serializes genes (as returned by DataManager.getGenes(g, c, s, e, true), ie, with their
+// transcripts, exons, and CDSs attached) as GFF3 or GTF.
+//
+// Gene properties that are added by DataManager (rather than read from the file)
+const DERIVED_PROPS = new Set([
+  'seqid', 'source', 'type', 'start', 'end', 'score', 'strand', 'phase',
+  'transcripts', 'composite', 'sotype', 'genome', 'chr', 'length', 'id', 'label', 'layout', 'symbol', 'track', 'synonyms'
+])
+const SOURCE = 'MGV'
+
+// Returns the gene's attributes as read from its file, plus Name.
+function geneAttributes (f) {
+  const attrs = { ID: f.ID, Name: f.symbol || undefined }
+  Object.keys(f).forEach(k => {
+    if (DERIVED_PROPS.has(k) || k in attrs) return
+    const v = f[k]
+    if (typeof v === 'string' || typeof v === 'number' || Array.isArray(v)) attrs[k] = v
+  })
+  return attrs
+}
+
+// Splits a transcript's CDS pieces into CDS and UTR segments. Returns a list of { start, end, type }
+// with type one of: CDS, five_prime_UTR, three_prime_UTR, sorted by start.
+// UTR types are determined from the segment's position relative to the CDS and the strand.
+function cdsSegments (t, strand) {
+  const c = t.cds
+  return c.pieces.map(p => {
+    let type = 'CDS'
+    if (p.type !== 'cds') {
+      const upstream = p.end < c.start
+      type = (upstream === (strand !== '-')) ? 'five_prime_UTR' : 'three_prime_UTR'
+    }
+    return { start: p.start, end: p.end, type }
+  }).sort((a, b) => a.start - b.start)
+}
+
+// Computes the phase of each CDS segment (in place), walking in the direction of transcription.
+function assignPhases (cdss, strand) {
+  const ordered = strand === '-' ? cdss.slice().reverse() : cdss
+  let len = 0
+  ordered.forEach(s => {
+    s.phase = (3 - (len % 3)) % 3
+    len += s.end - s.start + 1
+  })
+}
+
+// Returns the start and stop codons of a CDS as lists of { start, end, phase } segments, sorted by
+// start (a codon may be split across exons).
+function codons (cdss, strand) {
+  const take = (segs, fromStart) => {
+    const res = []
+    let need = 3
+    const ordered = fromStart ? segs : segs.slice().reverse()
+    for (const s of ordered) {
+      if (need === 0) break
+      const len = Math.min(need, s.end - s.start + 1)
+      res.push(fromStart ? { start: s.start, end: s.start + len - 1 } : { start: s.end - len + 1, end: s.end })
+      need -= len
+    }
+    return res
+  }
+  const first = take(cdss, true)
+  const last = take(cdss, false).reverse()
+  // the phase of a piece of a split codon counts the bases of the codon before it
+  assignPhases(first, strand)
+  assignPhases(last, strand)
+  return strand === '-' ? { start: last, stop: first } : { start: first, stop: last }
+}
+
+// Returns the CDS segments less the stop codon (the last three bases, in the direction of
+// transcription), which GTF leaves out of the CDS. Segments left empty are dropped.
+function trimStopCodon (cdss, strand) {
+  const minus = strand === '-'
+  const res = []
+  let need = 3
+  // 3' end first
+  const ordered = minus ? cdss : cdss.slice().reverse()
+  ordered.forEach(s => {
+    const len = s.end - s.start + 1
+    const cut = Math.min(need, len)
+    need -= cut
+    if (cut === len) return
+    res.push(Object.assign({}, s, minus ? { start: s.start + cut } : { end: s.end - cut }))
+  })
+  return res.sort((a, b) => a.start - b.start)
+}
+
+// Returns the sequence id to write for gene f. When genes come from more than one genome,
+// chromosome names are qualified by the genome name, so that (eg) chr 1 of different
+// strains stay distinct.
+function seqidOf (f, qualify) {
+  return qualify ? `${f.genome.name}:${f.chr.name}` : f.chr.name
+}
+function isMultiGenome (feats) {
+  return new Set(feats.map(f => f.genome.name)).size > 1
+}
+
+// Returns the GFF3 records (arrays) for a gene and its transcripts, exons, CDSs, and UTRs.
+function gff3Records (f, qualify) {
+  const seqid = seqidOf(f, qualify)
+  const src = f.source || SOURCE
+  const recs = [[seqid, src, f.sotype || f.type || 'gene', f.start, f.end, null, f.strand, null, geneAttributes(f)]]
+  f.transcripts.forEach(t => {
+    const strand = t.strand || f.strand
+    const ttype = t.cds ? 'mRNA' : 'transcript'
+    recs.push([seqid, src, ttype, t.start, t.end, null, strand, null, {
+      ID: t.ID, Parent: f.ID, Name: t.label, transcript_id: t.transcript_id
+    }])
+    t.exons.forEach(e => {
+      recs.push([seqid, src, 'exon', e.start, e.end, null, strand, null, { Parent: t.ID }])
+    })
+    if (t.cds) {
+      const segs = cdsSegments(t, strand)
+      assignPhases(segs.filter(s => s.type === 'CDS'), strand)
+      segs.forEach(s => {
+        const attrs = s.type === 'CDS' ? { ID: t.cds.ID, Parent: t.ID, protein_id: t.cds.protein_id } : { Parent: t.ID }
+        recs.push([seqid, src, s.type, s.start, s.end, null, strand, s.type === 'CDS' ? s.phase : null, attrs])
+      })
+    }
+  })
+  return recs
+}
+
+// Returns the contents of a GFF3 file for the given genes.
+function toGff3 (feats) {
+  const qualify = isMultiGenome(feats)
+  const blocks = feats.map(f => gff3Records(f, qualify).map(gff.formatLine).join('\n'))
+  // ### between genes tells readers that all parts of the preceding gene have been seen.
+  return ['##gff-version 3'].concat(blocks.length ? [blocks.join('\n###\n')] : []).join('\n') + '\n'
+}
+
+// Formats a GTF attributes column
+function gtfAttributes (attrs) {
+  return Object.keys(attrs).filter(k => attrs[k] !== null && attrs[k] !== undefined).map(k => {
+    return `${k} "${String(attrs[k]).replace(/["\\]/g, '\\$&')}";`
+  }).join(' ')
+}
+
+// Returns the contents of a GTF file for the given genes. Genes without transcripts are
+// written as a gene line only.
+function toGtf (feats) {
+  const lines = []
+  const line = (seqid, src, type, s, e, strand, phase, attrs) => {
+    lines.push([seqid, src, type, s, e, '.', strand || '.', phase === null ? '.' : phase, gtfAttributes(attrs)].join('\t'))
+  }
+  const qualify = isMultiGenome(feats)
+  feats.forEach(f => {
+    const seqid = seqidOf(f, qualify)
+    const src = f.source || SOURCE
+    const gattrs = { gene_id: f.ID, gene_name: f.symbol, gene_biotype: f.sotype || f.type }
+    line(seqid, src, 'gene', f.start, f.end, f.strand, null, gattrs)
+    f.transcripts.forEach(t => {
+      const strand = t.strand || f.strand
+      const tattrs = { gene_id: f.ID, transcript_id: t.ID, gene_name: f.symbol, transcript_name: t.label }
+      line(seqid, src, 'transcript', t.start, t.end, strand, null, tattrs)
+      t.exons.forEach((e, i) => {
+        const n = strand === '-' ? t.exons.length - i : i + 1
+        line(seqid, src, 'exon', e.start, e.end, strand, null, Object.assign({}, tattrs, { exon_number: n }))
+      })
+      if (t.cds) {
+        const segs = cdsSegments(t, strand)
+        const cdss = segs.filter(s => s.type === 'CDS')
+        const cs = codons(cdss, strand)
+        // the stop codon gets its own line (below), not part of the CDS
+        const tcdss = trimStopCodon(cdss, strand)
+        assignPhases(tcdss, strand)
+        const pattrs = Object.assign({}, tattrs, { protein_id: t.cds.protein_id })
+        segs.filter(s => s.type !== 'CDS').concat(tcdss).sort((a, b) => a.start - b.start).forEach(s => {
+          const type = s.type === 'CDS' ? 'CDS' : s.type === 'five_prime_UTR' ? '5UTR' : '3UTR'
+          line(seqid, src, type, s.start, s.end, strand, s.type === 'CDS' ? s.phase : null, s.type === 'CDS' ? pattrs : tattrs)
+        })
+        cs.start.forEach(c => line(seqid, src, 'start_codon', c.start, c.end, strand, c.phase, tattrs))
+        cs.stop.forEach(c => line(seqid, src, 'stop_codon', c.start, c.end, strand, c.phase, tattrs))
+      }
+    })
+  })
+  return lines.join('\n') + '\n'
+}
+
+// Returns the serialization of feats in the given format ('gff3' or 'gtf').
+function formatFeatures (feats, format) {
+  return format === 'gtf' ? toGtf(feats) : toGff3(feats)
+}
+
+export default {
+  formatFeatures,
+  toGff3,
+  toGtf
+}
@@ -0,0 +1,110 @@
+import { ABORTED, PRIORITY } from '@/lib/RequestQueue'
+import Worker from '@/lib/features.worker.js'
+
+// Number of workers. One is left for the display, and a few is plenty.
+const POOL_SIZE = Math.max(1, Math.min(3, (navigator.hardwareConcurrency || 2) - 1))
+
+// ---------------------------------------------------------------------
+// Main thread side of the features worker (see features.worker.js). Runs jobs in a small pool of
+// workers, one job per worker at a time. Waiting jobs are started in priority order. A job may be
+// cancelled while it waits, or while it runs (by stopping its worker, which is replaced as needed).
+//
+class FeatureWorker {
+  constructor () {
+    this.nextId = 0
+    this.queue = [] // jobs waiting to be sent to a worker
+    this.pool = [] // { worker, job } for each worker, created as needed. job is the one running, or null.
+  }
+  // Runs a job in a worker. Returns a promise for the job's result.
+  // Args:
+  //   job (string) the job name (see features.worker.js)
+  //   args (object) the job's arguments. If it has pieces (unparsed data), their bytes
+  //      are copied and transferred to the worker.
+  //   opts (object) optional.
+  //      signal (AbortSignal) cancels the job
+  //      priority (number) see RequestQueue.PRIORITY
+  //      progress (function) called with (done, total) as the job proceeds
+  run (job, args, opts) {
+    opts = opts || {}
+    if (opts.signal && opts.signal.aborted) return Promise.reject(ABORTED)
+    return new Promise((resolve, reject) => {
+      const j = {
+        id: this.nextId++,
+        job,
+        args,
+        priority: opts.priority === undefined ? PRIORITY.NORMAL : opts.priority,
+        progress: opts.progress,
+        resolve,
+        reject
+      }
+      if (opts.signal) {
+        opts.signal.addEventListener('abort', () => this.cancel(j), { once: true })
+      }
+      this.queue.push(j)
+      this.next()
+    })
+  }
+  // Cancels job j, whether waiting or running. Does nothing if it's done.
+  cancel (j) {
+    const i = this.queue.indexOf(j)
+    if (i !== -1) {
+      this.queue.splice(i, 1)
+      j.reject(ABORTED)
+      return
+    }
+    const w = this.pool.filter(x => x.job === j)[0]
+    if (!w) return
+    w.worker.terminate()
+    this.pool.splice(this.pool.indexOf(w), 1)
+    j.reject(ABORTED)
+    this.next()
+  }
+  // Sends waiting jobs (highest priority, then oldest) to free workers.
+  next () {
+    while (this.queue.length) {
+      let w = this.pool.filter(x => !x.job)[0]
+      if (!w) {
+        if (this.pool.length >= POOL_SIZE) return
+        w = this.createWorker()
+      }
+      const j = this.queue.reduce((best, x) => x.priority > best.priority ? x : best, this.queue[0])
+      this.queue.splice(this.queue.indexOf(j), 1)
+      w.job = j
+      // The fetched data may be cached or shared by other callers, so transfer copies.
+      const args = Object.assign({}, j.args)
+      const transfer = []
+      if (args.pieces) {
+        args.pieces = args.pieces.map(p => {
+          const bytes = new Uint8Array(p.bytes).slice().buffer
+          transfer.push(bytes)
+          return Object.assign({}, p, { bytes })
+        })
+      }
+      w.worker.postMessage({ id: j.id, job: j.job, args }, transfer)
+    }
+  }
+  createWorker () {
+    const w = { worker: new Worker(), job: null }
+    w.worker.onmessage = e => this.receive(w, e.data)
+    w.worker.onerror = e => this.receive(w, { id: w.job && w.job.id, error: e.message })
+    this.pool.push(w)
+    return w
+  }
+  receive (w, msg) {
+    const j = w.job
+    if (!j || msg.id !== j.id) return
+    if (msg.progress) {
+      if (j.progress) j.progress(msg.progress.done, msg.progress.total)
+      return
+    }
+    w.job = null
+    if (msg.error !== undefined) {
+      j.reject(msg.error)
+    } else {
+      j.resolve(msg.result)
+    }
+    this.next()
+  }
+}
+
+export default FeatureWorker
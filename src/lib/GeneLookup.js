@@ -0,0 +1,113 @@
+// ---------------------------------------------------------------------
+// Finds genes by ID, symbol, or synonym, in all genomes. Searches the features already loaded
+// (DataManager's id2feat, cid2feats, symbol2feats, and synonym2feats), and only if nothing matches
+// there, asks the remote query providers (see QueryRegistry.getLookupQueries).
+//
+// Local matches are ranked by how they matched:
+const RANK = {
+  id: 0, // exact ID or cID
+  symbol: 1, // exact symbol
+  synonym: 2, // exact synonym
+  symbolPrefix: 3, // symbol starts with the query
+  synonymPrefix: 4, // synonym starts with the query
+  fuzzy: 5 // symbol within a small edit distance of the query (rank is 5 + distance)
+}
+// Shorter queries don't get prefix or fuzzy matching (too many hits)
+const MIN_PREFIX_LENGTH = 2
+const MIN_FUZZY_LENGTH = 3
+
+// Returns the edit (Levenshtein) distance between strings a and b, or max + 1 if it exceeds max.
+function editDistance (a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+  let prev = Array.from({ length: b.length + 1 }, (x, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j++) {
+      const d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+      cur.push(d)
+      if (d < rowMin) rowMin = d
+    }
+    if (rowMin > max) return max + 1
+    prev = cur
+  }
+  return prev[b.length]
+}
+
+class GeneLookup {
+  // Args:
+  //   dataManager (DataManager)
+  //   queryRegistry (QueryRegistry)
+  constructor (dataManager, queryRegistry) {
+    this.dataManager = dataManager
+    this.queryRegistry = queryRegistry
+  }
+  // Searches the loaded features for q. Returns a list of matches, best first, each
+  // { feature, rank, matched }, where matched is the ID, symbol, or synonym that matched.
+  // Ties are broken by the length of the matched string, then alphabetically.
+  // Args:
+  //   q (string) the query
+  //   opts (object) optional.
+  //     genomes (list of genomes) only search these. Default: all genomes.
+  //     limit (int) maximum number of matches. Default: no limit.
+  search (q, opts) {
+    opts = opts || {}
+    q = q.trim()
+    const lq = q.toLowerCase()
+    if (!lq) return []
+    const dm = this.dataManager
+    const gset = opts.genomes ? new Set(opts.genomes) : null
+    const found = new Map() // feature -> match
+    const add = (feats, rank, matched) => feats.forEach(f => {
+      if (gset && !gset.has(f.genome)) return
+      const m = found.get(f)
+      if (!m || rank < m.rank) found.set(f, { feature: f, rank, matched })
+    })
+    // exact matches
+    const f = dm.getFeatureById(q)
+    if (f) add([f], RANK.id, q)
+    add(dm.getFeaturesByCid(q), RANK.id, q)
+    add(dm.getFeaturesBySymbol(lq), RANK.symbol, lq)
+    add(dm.getFeaturesBySynonym(lq), RANK.synonym, lq)
+    // prefix matches
+    if (lq.length >= MIN_PREFIX_LENGTH) {
+      Object.keys(dm.symbol2feats).forEach(s => {
+        if (s !== lq && s.startsWith(lq)) add(dm.symbol2feats[s], RANK.symbolPrefix, s)
+      })
+      Object.keys(dm.synonym2feats).forEach(s => {
+        if (s !== lq && s.startsWith(lq)) add(dm.synonym2feats[s], RANK.synonymPrefix, s)
+      })
+    }
+    // fuzzy matches, only as a last resort
+    if (found.size === 0 && lq.length >= MIN_FUZZY_LENGTH) {
+      const max = lq.length <= 5 ? 1 : 2
+      Object.keys(dm.symbol2feats).forEach(s => {
+        const d = editDistance(lq, s, max)
+        if (d <= max) add(dm.symbol2feats[s], RANK.fuzzy + d, s)
+      })
+    }
+    const ms = Array.from(found.values()).sort((a, b) => {
+      return a.rank - b.rank ||
+        a.matched.length - b.matched.length ||
+        (a.matched < b.matched ? -1 : a.matched > b.matched ? 1 : 0)
+    })
+    return opts.limit ? ms.slice(0, opts.limit) : ms
+  }
+  // Returns a promise for the IDs of the genes matching q: those of the local matches (see search), or
+  // if there are none, those returned by the remote lookup queries.
+  lookup (q, opts) {
+    const ms = this.search(q, opts)
+    if (ms.length) {
+      return Promise.resolve(Array.from(new Set(ms.map(m => m.feature.id))))
+    }
+    const qs = this.queryRegistry.getLookupQueries()
+    return Promise.all(qs.map(rq => rq.handler(q.trim()).catch(() => []))).then(results => {
+      const ids = new Set()
+      results.forEach(r => r.forEach(id => ids.add(id)))
+      return Array.from(ids)
+    })
+  }
+}
+
+export default GeneLookup
+export { RANK }
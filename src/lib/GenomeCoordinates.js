@@ -2,19 +2,107 @@ let fail = function (message) {
   throw message
 }
 
-// Parses a string containing coordinates specified like 4:12345678..12387654
-// Returns an object of the form { chr, start, end }.
-// Returns null if the string fails to parse.
-function parse (s) {
-  let m = s.match(/^([^:]+):(\d+)\.\.(\d+)/)
-  if (!m) return null
-  let c = {
-    chr: m[1],
-    start: parseInt(m[2]),
-    end: parseInt(m[3])
+// Multipliers for the units allowed on positions (case insensitive)
+const UNITS = { bp: 1, kb: 1e3, mb: 1e6, gb: 1e9 }
+// For a single position, the default number of bases shown on either side
+const DEFAULT_FLANK = 10000
+
+// Parses a position, eg, 69552084, 69,552,084, 69.5Mb, or 500kb. Returns the position (an integer).
+// Throws an exception (with the reason) if s is not a valid position.
+function parsePosition (s) {
+  const m = s.trim().match(/^(\d[\d,]*(?:\.\d+)?)\s*([a-z]+)?$/i)
+  if (!m) fail(`Bad position: "${s}".`)
+  const unit = (m[2] || 'bp').toLowerCase()
+  if (!UNITS[unit]) fail(`Bad unit in "${s}". Use bp, kb, Mb, or Gb.`)
+  const num = m[1].replace(/,/g, '')
+  if (num.indexOf('.') !== -1 && unit === 'bp') fail(`Bad position: "${s}". Fractional positions need a unit, eg, 69.5Mb.`)
+  const p = Math.round(parseFloat(num) * UNITS[unit])
+  if (p < 1) fail(`Bad position: "${s}". Positions start at 1.`)
+  return p
+}
+
+// Parses a string containing coordinates. Accepts:
+//   11:69552084..69621239         chromosome, start, and end
+//   11:69552084-69621239          ... with a dash
+//   chr11:69,552,084-69,621,239   ... with commas in the numbers (and the chromosome's "chr" prefix)
+//   11:69.5Mb-69.6Mb              ... with units (bp, kb, Mb, Gb)
+//   11:69552084                   a single position, with flank bases on either side
+//   CAST/EiJ::11:1..100           any of the above, qualified by a genome name
+// Args:
+//   s (string) the coordinates
+//   opts (object) optional.
+//     flank (int) for a single position. Default: DEFAULT_FLANK
+//     genome (Genome) if given, the chromosome must be one of its (see findChromosome)
+//     genomes (list of Genome) if given, the genomes a qualified string may name (and its chromosome
+//       must be one of that genome's). Default: [genome], if genome is given.
+// Returns an object of the form { genome, chr, start, end }, where genome is the qualifying genome name
+// (or undefined), and chr is the chromosome name (as in the genome, if checked).
+// Throws an exception (with the reason) if s is not valid coordinates.
+function parseCoordinates (s, opts) {
+  opts = opts || {}
+  s = s.trim()
+  let gname
+  const gi = s.indexOf('::')
+  if (gi !== -1) {
+    gname = s.substr(0, gi).trim()
+    s = s.substr(gi + 2).trim()
+    if (!gname) fail('No genome name before "::".')
+  }
+  const ci = s.lastIndexOf(':')
+  if (ci === -1) fail(`Not coordinates: "${s}". Expected chromosome:start..end, eg, 11:69552084..69621239.`)
+  let chr = s.substr(0, ci).trim()
+  const range = s.substr(ci + 1).trim()
+  if (!chr) fail('No chromosome.')
+  if (!range) fail('No start or end position.')
+  //
+  const parts = range.indexOf('..') !== -1 ? range.split('..') : range.split(/[-\u2013]/)
+  if (parts.length > 2) fail(`Bad range: "${range}". Expected start..end or start-end.`)
+  let start, end
+  if (parts.length === 1) {
+    const p = parsePosition(parts[0])
+    const flank = opts.flank === undefined ? DEFAULT_FLANK : opts.flank
+    start = Math.max(1, p - flank)
+    end = p + flank
+  } else {
+    start = parsePosition(parts[0])
+    end = parsePosition(parts[1])
+    if (start > end) fail('Start is greater than end.')
+  }
+  //
+  const genomes = opts.genomes || (opts.genome ? [opts.genome] : null)
+  let g = opts.genome
+  if (gname && genomes) {
+    g = genomes.filter(gg => gg.name === gname)[0]
+    if (!g) {
+      if (genomes.length === 1) fail(`Coordinates are for ${gname}, not ${genomes[0].name}.`)
+      fail(`Genome not found: ${gname}.`)
+    }
   }
-  if (c.chr.length > 0 && c.start > 0 && c.start <= c.end) return c
-  return null
+  if (g) {
+    const c = findChromosome(g, chr)
+    if (!c) fail(`Chromosome ${chr} not found in ${g.name}.`)
+    chr = c.name
+  }
+  return { genome: gname, chr, start, end }
+}
+
+// Like parseCoordinates, but returns null (rather than throwing) if s is not valid coordinates.
+function parse (s, opts) {
+  try {
+    return parseCoordinates(s, opts)
+  } catch (e) {
+    return null
+  }
+}
+
+// Returns the chromosome of genome g with the given name, or null. If there's no exact match,
+// names are compared ignoring case and any "chr" prefix (so "chr11" finds "11", and vice versa).
+function findChromosome (g, name) {
+  const c = g.chromosomes.filter(gc => gc.name === name)[0]
+  if (c) return c
+  const norm = n => n.toLowerCase().replace(/^chr/, '')
+  const nn = norm(name)
+  return g.chromosomes.filter(gc => norm(gc.name) === nn)[0] || null
 }
 
 // Validates the given coordinates (sanity checks etc.)
@@ -122,5 +210,5 @@ function length (f) {
 }
 
 export default {
-  fail, validate, parse, setWidth, pan, zoom, overlaps, length, overlapAmount, distanceBetween
+  fail, validate, parse, parseCoordinates, parsePosition, findChromosome, setWidth, pan, zoom, overlaps, length, overlapAmount, distanceBetween
 }
@@ -4,6 +4,13 @@ import config from '@/config'
 import KeyStore from '@/lib/KeyStore'
 import CachingFetcher from '@/lib/CachingFetcher'
 import { ChunkedGff3FileReader, ChunkedVcfFileReader } from '@/lib/ChunkedFileReader'
+import { BigWigFileReader } from '@/lib/BigWigFileReader'
+import { TabixGff3FileReader, TabixVcfFileReader } from '@/lib/TabixFileReader'
+import { FastaFileReader } from '@/lib/FastaFileReader'
+import SyntenyMap from '@/lib/SyntenyMap'
+//
+// Urls with a scheme, eg http://..., bundle://...
+const ABSOLUTE_URL = /^[a-z]+:\/\//i
 //
 // -------------------------------------------------------------------------------
 // Container for track readers for a genome
@@ -12,7 +19,7 @@ class GenomeReader {
     this.registrar = registrar
     this.info = info
     const n = config.CachingFetcher.dbName
-    this.fetcher = new CachingFetcher(n, info.name)
+    this.fetcher = new CachingFetcher(n, info.name, registrar.dataSource)
     this.kstore = new KeyStore(n)
     this.readers = this.info.tracks.reduce((a,t) => {
       if (t.type === 'ChunkedGff3') {
@@ -21,10 +28,33 @@ class GenomeReader {
       else if (t.type === "ChunkedVcf") {
         a[t.name] = new ChunkedVcfFileReader(this.fetcher, t.name, t.chunkSize, info, info.url )
       }
+      else if (t.type === "TabixGff3") {
+        a[t.name] = new TabixGff3FileReader(this.fetcher, t.name, info, this.trackUrl(t), t.indexUrl && this.resolveUrl(t.indexUrl))
+      }
+      else if (t.type === "TabixVcf") {
+        a[t.name] = new TabixVcfFileReader(this.fetcher, t.name, info, this.trackUrl(t), t.indexUrl && this.resolveUrl(t.indexUrl))
+      }
+      else if (t.type === "BigWig") {
+        a[t.name] = new BigWigFileReader(this.fetcher, t.name, info, this.trackUrl(t))
+      }
+      else if (t.type === "IndexedFasta") {
+        const resolve = x => x && this.resolveUrl(x)
+        a[t.name] = new FastaFileReader(this.fetcher, t.name, info, this.trackUrl(t), resolve(t.faiUrl), resolve(t.gziUrl))
+      }
       return a
     }, {})
     this.readyp = this.checkTimestamp()
   }
+  // Returns the URL for a track's file. A track's url may be absolute or relative to the genome's url.
+  // If the track has no url, the track name is used.
+  trackUrl (t) {
+    return this.resolveUrl(t.url || t.name)
+  }
+  // Resolves a (possibly relative) url against the genome's url.
+  resolveUrl (turl) {
+    if (ABSOLUTE_URL.test(turl)) return turl
+    return this.info.url + turl
+  }
   // -------------------------------------------------------------------------------
   // Compares the timestamp of the cached info for this genome against the timestamp
   // of the info we just loaded. If they differ, drop all cached data for this genome,
@@ -57,10 +87,15 @@ class GenomeReader {
 // Forwarding loop are tolerated
 //
 class GenomeRegistrar {
-  constructor () {
+  // Args:
+  //   dataSource (DataSource) optional. Where to read genome descriptors and data files from.
+  //     Default: over the net.
+  constructor (dataSource) {
+    this.dataSource = dataSource || u
     this.url2promise = {}
     this.name2genome = {}
     this.name2reader = {}
+    this.synteny = {} // "A::B" -> promise for the SyntenyMap from genome A to genome B (or null)
     this.indexName = 'index.json'
   }
   // Returns a TrackReader for track n of genome g
@@ -68,11 +103,56 @@ class GenomeRegistrar {
     const gr = this.name2reader[g.name]
     return gr.ready().then( () => gr.readers[n] )
   }
+  // Returns a promise for the CachingFetcher of genome g
+  getFetcher (g) {
+    const gr = this.name2reader[g.name]
+    return gr.ready().then(() => gr.fetcher)
+  }
+  // Returns a promise for the SyntenyMap from genome ga to genome gb, or null if there are no synteny
+  // data for the pair. A genome descriptor names its synteny files (one per other genome) in its
+  // synteny property, by the other genome's name. Urls may be absolute or relative to the genome's url. Eg:
+  //    "synteny": { "H. sapiens": "synteny/H_sapiens.json", "R. norvegicus": "synteny/R_norvegicus.json" }
+  // Either genome's file will do: one file serves both directions. Each file contains a list of
+  // blocks (see SyntenyMap).
+  getSyntenyMap (ga, gb) {
+    if (ga === gb) return Promise.resolve(null)
+    const key = `${ga.name}::${gb.name}`
+    if (this.synteny[key]) return this.synteny[key]
+    let src = ga
+    let url = (ga.synteny || {})[gb.name]
+    if (!url) {
+      src = gb
+      url = (gb.synteny || {})[ga.name]
+    }
+    if (!url) return Promise.resolve(null)
+    const gr = this.name2reader[src.name]
+    const p = gr.ready().then(() => gr.fetcher.fetch(gr.resolveUrl(url), 'json')).then(blocks => {
+      return new SyntenyMap(blocks, src === gb)
+    }).catch(err => {
+      u.debug(`Could not load synteny data for ${ga.name} -> ${gb.name}: ${err}`)
+      delete this.synteny[key]
+      return null
+    })
+    this.synteny[key] = p
+    return p
+  }
+  // Returns a promise for genome g's published locator (see DataManager.getLocator), or null if it
+  // has none. A genome descriptor names its locator file, if any, in its locator property. The url
+  // may be absolute or relative to the genome's url. Eg:
+  //    "locator": "models/genes/locator.json"
+  getLocator (g) {
+    if (!g.locator) return Promise.resolve(null)
+    const gr = this.name2reader[g.name]
+    return gr.ready().then(() => gr.fetcher.fetch(gr.resolveUrl(g.locator), 'json')).catch(err => {
+      u.debug(`Could not load the locator for ${g.name}: ${err}`)
+      return null
+    })
+  }
   // Register
   register (url) {
     let p = this.url2promise[url]
     if (p) return p
-    this.url2promise[url] = p = u.fetch(this._adjust(url), 'json')
+    this.url2promise[url] = p = this.dataSource.fetch(this._adjust(url), 'json')
       .then(data => this._register(url, data))
     return p
   }
@@ -81,11 +161,12 @@ class GenomeRegistrar {
     return url
   }
   _combineUrl(url, ext) {
-    if (ext.startsWith('http://')) {
+    if (ABSOLUTE_URL.test(ext)) {
       return ext
     } else if (ext.startsWith('/')) {
-      // relative URL starting with '/'
-      return url.slice(0,url.indexOf('/',7)) + ext
+      // relative URL starting with '/'. Keep the scheme and host (or data source name).
+      const origin = url.match(/^[a-z]+:\/*[^/]*/i)
+      return (origin ? origin[0] : '') + ext
     } else {
       // relative URL not starting with '/'
       return url.slice(0,url.lastIndexOf('/')+1) + ext
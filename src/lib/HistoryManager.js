@@ -1,5 +1,6 @@
 import u from '@/lib/utils'
 import config from '@/config'
+import gc from '@/lib/GenomeCoordinates'
 //
 class HistoryManager {
   //
@@ -81,31 +82,42 @@ class HistoryManager {
     // Regions parameter allows for multiple regions across multiple genomes
     // Example:
     //   "A/J::12:67900000..68800000/500,X:55622081..101002774/500|DBA/2J::1:1..1000000/1000"
+    // Each region is coordinates (see GenomeCoordinates.parseCoordinates, but without commas in
+    // the numbers, since commas separate regions), and an optional width in pixels (negative if reversed).
     // NOTE: externally, the parameter is called "regions", but really it 
     // specifies multiple strips and regions within them
     //
     let regions = prms.get('regions')
     if (regions) {
       cfg.strips = regions.split(/\|/g).map(gr => {
-        const bits = gr.split('::')
-        const genome = bits[0]
-        const gregs = bits[1].split(/,/g).map(gr => {
-          const coords = gr.split(/:|[.][.]|[/]/g)
-          const w = parseInt(coords[3]) || 0
+        const i = gr.indexOf('::')
+        if (i === -1) {
+          u.debug(`Bad strip in URL (no genome): ${gr}`)
+          return null
+        }
+        const genome = gr.substr(0, i)
+        const gregs = gr.substr(i + 2).split(/,/g).map(gr => {
+          const m = gr.match(/^(.*?)(?:\/(-?\d+))?$/)
+          const coords = gc.parse(m[1])
+          if (!coords) {
+            u.debug(`Bad region in URL: ${gr}`)
+            return null
+          }
+          const w = parseInt(m[2]) || 0
           return {
             genome: genome,
-            chr: coords[0],
-            start: parseInt(coords[1]),
-            end: parseInt(coords[2]),
+            chr: coords.chr,
+            start: coords.start,
+            end: coords.end,
             width: Math.abs(w),
             reversed: w < 0
           }
-        })
+        }).filter(x => x)
         return {
           genome: genome,
           regions: gregs
         }
-      })
+      }).filter(x => x)
     }
 
     // ----- highlight IDs --------------
@@ -121,8 +133,8 @@ class HistoryManager {
     let start = prms.get('start')
     let end = prms.get('end')
     chr && (cfg.chr = chr)
-    start && (cfg.start = parseInt(start))
-    end && (cfg.end = parseInt(end))
+    start && (cfg.start = this.parsePosition(start))
+    end && (cfg.end = this.parsePosition(end))
     //
     let landmark = prms.get('landmark')
     let flank = prms.get('flank')
@@ -135,5 +147,14 @@ class HistoryManager {
     //
     return cfg
   }
+  // Parses a position parameter (see GenomeCoordinates.parsePosition). Returns undefined if it's invalid.
+  parsePosition (s) {
+    try {
+      return gc.parsePosition(s)
+    } catch (e) {
+      u.debug(`Bad position in URL: ${e}`)
+      return undefined
+    }
+  }
 }
 export default HistoryManager
@@ -1,4 +1,16 @@
 import u from '@/lib/utils'
+import config from '@/config'
+import CachingFetcher from '@/lib/CachingFetcher'
+//
+// Confidence levels of orthology calls (see makeEvidence). Calls below the minimum set in
+// Settings (config.HomologyManager.minConfidence) are ignored.
+const CONFIDENCE = {
+  ANY: 0, // any call
+  BEST: 1, // best score, or best reverse score
+  RECIPROCAL: 2 // best score and best reverse score
+}
+// Opacity of the drawing of an orthology call, by CONFIDENCE level. Weaker calls are fainter.
+const CONFIDENCE_OPACITY = [0.35, 0.65, 1]
 //
 class HomologyManager {
   //
@@ -9,25 +21,56 @@ class HomologyManager {
     //          taxonA -> taxonB -> idA -> [idB]
     this.url = url
     this.index = {}
+    //  Evidence for the assertions, parallel to the index lists:
+    //          taxonA -> taxonB -> idA -> [evidence]
+    this.evidence = {}
+    // evidence objects, by key (see makeEvidence). Rows with the same evidence share one.
+    this.evidenceCache = {}
+    //  Inferred paralogs, computed as needed (see getInferredParalogIds):
+    //          taxonA -> idA -> [idA]
+    //  Depends on the visible taxons and the minimum confidence, so is cleared when either changes.
+    this.paralogs = {}
     this.taxonid2promise = {}
     this.promises = []
     //
-    this.app.$root.$on('taxons-changed', () => {
-      if (this.app.vTaxons.length > 1) {
-        this.app.$root.$emit('message', { message: 'Computing inferred paralogs...' })
-      }
-      this.computeAllInferredParalogs()
-    })
+    this.app.$root.$on('taxons-changed', () => this.clearParalogs())
+    this.app.$root.$on('homology-threshold-changed', () => this.clearParalogs())
   }
   //
+  clearParalogs () {
+    this.paralogs = {}
+  }
+  // Returns a promise that resolves when the orthology data for taxonid are loaded. The parsed data are
+  // cached (see CachingFetcher.setDerived), so later sessions need not fetch or parse them. The cached
+  // copy is used only if the genomes of the taxon are unchanged since it was saved (see getStamp).
+  // A taxon need not have orthology data (eg, a set of strains only related by shared canonical IDs);
+  // if there are none, the promise resolves to false.
   loadHomologiesForTaxon (taxonid) {
     if (this.taxonid2promise[taxonid]) {
       return this.taxonid2promise[taxonid]
     }
-    this.app.$root.$emit('message', { message: `Fetching orthology data for taxon ${taxonid}...` })
-    const p = u.fetch(`${this.url}/homologies/orthology/${taxonid}.json`, 'json').then(data => {
-      this.registerData(data)
+    const url = `${this.url}/homologies/orthology/${taxonid}.json`
+    const stamp = this.getStamp(taxonid)
+    const fetcher = new CachingFetcher(config.CachingFetcher.dbName, `homologies-${taxonid}`, this.dataManager.dataSource)
+    const p = fetcher.getDerived('orthology').catch(err => {
+      u.debug(`Could not read cached orthology data for taxon ${taxonid}: ${err}`)
+      return undefined
+    }).then(cached => {
+      if (cached && cached.url === url && cached.stamp === stamp) return cached
+      this.app.$root.$emit('message', { message: `Fetching orthology data for taxon ${taxonid}...` })
+      return this.dataManager.dataSource.fetch(url, 'text').then(text => {
+        const parsed = Object.assign(this.parseData(JSON.parse(text)), { url, stamp })
+        fetcher.setDerived('orthology', parsed, text.length).catch(err => {
+          u.debug(`Could not cache orthology data for taxon ${taxonid}: ${err}`)
+        })
+        return parsed
+      })
+    }).then(parsed => {
+      this.mergeData(parsed)
       return true
+    }).catch(err => {
+      u.debug(`No orthology data for taxon ${taxonid}: ${err}`)
+      return false
     })
     //
     this.taxonid2promise[taxonid] = p
@@ -35,12 +78,56 @@ class HomologyManager {
     //
     return p
   }
-  //
+  // Returns a string identifying the versions of the genomes of taxonid, eg, "C57BL/6J@2020-08-31;..."
+  // A change to any of those genomes invalidates the taxon's cached orthology data.
+  getStamp (taxonid) {
+    const dm = this.dataManager
+    return this.app.allGenomes
+      .filter(g => dm.getHomologyTaxon(g) === taxonid)
+      .map(g => `${g.name}@${g.timestamp || ''}`)
+      .sort()
+      .join(';')
+  }
+  // Adds orthology data to the indexes. See parseData.
   registerData (data) {
-    // Each row of data is a list of five values:
-    //    [idA, taxonA, idB, taxonB, YNcode]
+    this.mergeData(this.parseData(data))
+  }
+  // Merges parsed orthology data (see parseData) into the indexes.
+  mergeData (parsed) {
+    for (const txA in parsed.index) {
+      const i0 = this.index[txA] = (this.index[txA] || {})
+      const e0 = this.evidence[txA] = (this.evidence[txA] || {})
+      for (const txB in parsed.index[txA]) {
+        const pi1 = parsed.index[txA][txB]
+        const pe1 = parsed.evidence[txA][txB]
+        if (!i0[txB]) {
+          // the common case: nothing yet for this pair of taxons
+          i0[txB] = pi1
+          e0[txB] = pe1
+          continue
+        }
+        const i1 = i0[txB]
+        const e1 = e0[txB] = (e0[txB] || {})
+        for (const idA in pi1) {
+          i1[idA] = (i1[idA] || []).concat(pi1[idA])
+          e1[idA] = (e1[idA] || []).concat(pe1[idA])
+        }
+      }
+    }
+    this.clearParalogs()
+  }
+  // Parses orthology data. Returns { index, evidence }, organized as this.index and this.evidence.
+  // Evidence objects are shared, as in makeEvidence (and remain so when cached).
+  parseData (data) {
+    const index = {}
+    const evidence = {}
+    // Each row of data is a list of five or six values:
+    //    [idA, taxonA, idB, taxonB, YNcode, algorithms]
+    // where YNcode flags whether idB is the best scoring ortholog of idA, and vice versa (the best reverse
+    // score), and the optional algorithms lists the algorithms supporting the call (a list, or a string
+    // separated by "|").
     // Example:
-    //    ["FB:FBgn0000028","7227","ZFIN:ZDB-GENE-000523-2","7955","NY"]
+    //    ["FB:FBgn0000028","7227","ZFIN:ZDB-GENE-000523-2","7955","NY","PANTHER|OMA|Ensembl Compara"]
     data.forEach(r => {
       // extract the row into vars
       const idA = r[0]
@@ -49,60 +136,76 @@ class HomologyManager {
       const txB = r[3]
       // add to index
       // get (and init, if necessary) top level index, by taxon A
-      const i0 = this.index[txA] = (this.index[txA] || {})
+      const i0 = index[txA] = (index[txA] || {})
       // get (and init, if necessary) second level index, by taxon B
       const i1 = i0[txB] = (i0[txB] || {})
       // get (and init, if necessary) list of homologs for idA in taxon B
       const ar = i1[idA] = (i1[idA] || [])
       // add idB
       ar.push(idB)
+      // and its evidence, in the same place in the parallel index
+      const e0 = evidence[txA] = (evidence[txA] || {})
+      const e1 = e0[txB] = (e0[txB] || {})
+      const er = e1[idA] = (e1[idA] || [])
+      er.push(this.makeEvidence(r[4], r[5]))
     })
+    return { index, evidence }
   }
-  // For each specified taxon, computes inferred paralogs, relative to all the rest
-  computeAllInferredParalogs (txAs) {
-    txAs = txAs || this.app.vTaxons
-    txAs.map(txA => this.computeInferredParalogs(txA, txAs))
-  }
-  // Computes inferred paralogs for all txA ids, relative to the specified list of taxons.
-  // Records results in the main index (at this.index[txA][txA])
-  computeInferredParalogs (txA, txBs) {
-     const Aix = this.index[txA] = (this.index[txA] || {})
-     const paraIx = this.index[txA][txA] = {}
-     txBs.forEach(txB => {
-       if (txA === txB) return []
-       const Bix = this.index[txB] || {}
-       const ABix = Aix[txB] || {}
-       const BAix = Bix[txA] || {}
-       // at this point, ABix is the A->B orthology index and BAix is the B->A index.
-       // for every id in ABix find its B ortholog ids, then map each B id back to its
-       // A orthologs.
-       for (let idA in ABix) {
-         const idBs = ABix[idA] || []
-         const idAs = u.flatten(idBs.map(idB => BAix[idB] || []))
-         if (paraIx[idA]) {
-           paraIx[idA] = paraIx[idA].concat(idAs)
-         } else {
-           paraIx[idA] = idAs
-         }
-       }
-       // Eliminate duplicates from the lists of paralogs
-       for (let idA in paraIx) {
-         paraIx[idA] = Array.from(new Set(paraIx[idA]))
-       }
-     })
+  // Returns the evidence object for an assertion: { best, bestReverse, algorithms, confidence }, where
+  // best and bestReverse are from the YN code (null if there was none), algorithms is a list (empty if
+  // not given), and confidence is a CONFIDENCE level. Assertions without a YN code are taken at
+  // face value, ie, as RECIPROCAL.
+  makeEvidence (yn, algorithms) {
+    const algs = Array.isArray(algorithms) ? algorithms : (algorithms ? algorithms.split('|') : [])
+    const key = `${yn || ''}|${algs.join('|')}`
+    let ev = this.evidenceCache[key]
+    if (!ev) {
+      const best = yn ? yn[0] === 'Y' : null
+      const bestReverse = yn ? yn[1] === 'Y' : null
+      const confidence = yn ? (best ? 1 : 0) + (bestReverse ? 1 : 0) : CONFIDENCE.RECIPROCAL
+      ev = this.evidenceCache[key] = Object.freeze({ best, bestReverse, algorithms: algs, confidence })
+    }
+    return ev
+  }
+  // Returns a short description of evidence ev, eg, "best score, best reverse score; 3 algorithms (PANTHER, OMA, Ensembl Compara)"
+  describeEvidence (ev) {
+    if (!ev) return ''
+    const parts = []
+    if (ev.best !== null) {
+      const flags = [ev.best && 'best score', ev.bestReverse && 'best reverse score'].filter(x => x)
+      parts.push(flags.length ? flags.join(', ') : 'not best in either direction')
+    }
+    if (ev.algorithms.length) {
+      const n = ev.algorithms.length
+      parts.push(`${n} algorithm${n === 1 ? '' : 's'} (${ev.algorithms.join(', ')})`)
+    }
+    return parts.join('; ') || 'no evidence recorded'
+  }
+  // Returns the minimum confidence (a CONFIDENCE level) of the orthologs to use.
+  minConfidence () {
+    return config.HomologyManager.minConfidence
+  }
+  // Returns the orthologs of idA (in taxon txA) in taxon txB that meet the minimum confidence.
+  getConfidentOrthologIds (idA, txA, txB) {
+    const idBs = ((this.index[txA] || {})[txB] || {})[idA] || []
+    const evs = ((this.evidence[txA] || {})[txB] || {})[idA] || []
+    const min = this.minConfidence()
+    return min ? idBs.filter((idB, i) => !evs[i] || evs[i].confidence >= min) : idBs.slice()
+  }
+  // Returns the evidence for the assertion that idB (in taxon txB) is an ortholog of idA (in taxon txA), or null.
+  getEvidence (idA, txA, idB, txB) {
+    const idBs = ((this.index[txA] || {})[txB] || {})[idA] || []
+    const i = idBs.indexOf(idB)
+    if (i === -1) return null
+    return this.evidence[txA][txB][idA][i] || null
   }
   //
   // For a given (canonical) id in a given taxon, returns
   // list of all homologous (canonical) ids from specified taxons.
+  // Orthologs below the minimum confidence are omitted.
   getHomologIds (idA, txA, txBs) {
-    const Aix = this.index[txA] || {}
     const homIds = txBs.map(txB => {
-      const ABix = Aix[txB] || {}
-      const homs = ABix[idA] || []
-      if (txA === txB && homs.indexOf(idA) === -1) {
-         homs.push(idA)
-      }
-      return homs
+      return txA === txB ? this.getInferredParalogIds(idA, txA) : this.getConfidentOrthologIds(idA, txA, txB)
     })
     return u.flatten(homIds)
   }
@@ -117,9 +220,79 @@ class HomologyManager {
   getOrthologIds (idA, txA, txBs) {
     return this.getHomologIds(idA, txA, txBs.filter(txB => txB !== txA))
   }
-  //
+  // Returns the inferred paralogs of idA in its own taxon, txA (including idA): the orthologs, back in txA,
+  // of its orthologs in the other visible taxons. Computed on first request, and remembered.
   getInferredParalogIds (idA, txA) {
-    return this.getHomologIds(idA, txA, [txA])
+    const pix = this.paralogs[txA] = (this.paralogs[txA] || {})
+    if (!pix[idA]) {
+      const idAs = new Set([idA])
+      this.app.vTaxons.forEach(txB => {
+        if (txB === txA) return
+        this.getConfidentOrthologIds(idA, txA, txB).forEach(idB => {
+          this.getConfidentOrthologIds(idB, txB, txA).forEach(id => idAs.add(id))
+        })
+      })
+      pix[idA] = Array.from(idAs)
+    }
+    return pix[idA].slice()
+  }
+  // Returns the homology group of idA (in taxon txA): the connected component containing it, in the graph
+  // whose nodes are genes of the taxons txBs and whose edges are orthologies (meeting the minimum
+  // confidence) and, optionally, inferred paralogies. Returns { nodes, edges, truncated }, where each node is
+  // { id, taxon }, and each edge is { a, b, kind, evidence }: a and b index nodes, kind is 'ortholog' or
+  // 'paralog', and evidence is as returned by getEvidence (null for paralogs).
+  // Args:
+  //   idA, txA - the gene
+  //   txBs (list of taxon ids) the taxons to include
+  //   paralogs (boolean) if true, include inferred paralogs
+  //   maxNodes (int) optional. The group stops growing at this size, and truncated is set. Default: 200.
+  getHomologyGraph (idA, txA, txBs, paralogs, maxNodes) {
+    maxNodes = maxNodes || 200
+    const nodes = []
+    const edges = []
+    const key2node = {}
+    const edgeKeys = new Set()
+    let truncated = false
+    // returns the index of the node for id, adding it if needed (returns -1 if the group is full)
+    const getNode = (id, tx) => {
+      const k = `${tx}|${id}`
+      if (!(k in key2node)) {
+        if (nodes.length >= maxNodes) return -1
+        key2node[k] = nodes.length
+        nodes.push({ id, taxon: tx })
+      }
+      return key2node[k]
+    }
+    getNode(idA, txA)
+    // breadth first: nodes grows as we go
+    for (let i = 0; i < nodes.length; i++) {
+      const n = nodes[i]
+      txBs.forEach(txB => {
+        let ids
+        if (txB !== n.taxon) {
+          ids = this.getConfidentOrthologIds(n.id, n.taxon, txB)
+        } else if (paralogs) {
+          ids = this.getInferredParalogIds(n.id, n.taxon).filter(id => id !== n.id)
+        } else {
+          return
+        }
+        ids.forEach(id => {
+          const j = getNode(id, txB)
+          if (j === -1) {
+            truncated = true
+            return
+          }
+          const ek = i < j ? `${i}|${j}` : `${j}|${i}`
+          if (edgeKeys.has(ek)) return
+          edgeKeys.add(ek)
+          const kind = txB === n.taxon ? 'paralog' : 'ortholog'
+          const evidence = kind === 'ortholog' ? this.getEvidence(n.id, n.taxon, id, txB) : null
+          edges.push({ a: i, b: j, kind, evidence })
+        })
+      })
+    }
+    return { nodes, edges, truncated }
   }
 }
+export { CONFIDENCE, CONFIDENCE_OPACITY }
 export default HomologyManager
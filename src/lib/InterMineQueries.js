@@ -0,0 +1,174 @@
+import u from '@/lib/utils'
+
+// ---------------------------------------------------------------------
+// The kinds of query an InterMine provider can offer. Each kind has default name, label,
+// placeholder, and help text, any of which a provider's config may override (eg, to point
+// to the mine's own vocabulary browsers).
+const KINDS = {
+  phenotype: {
+    name: 'Phenotype or disease',
+    label: 'Search by phenotype or disease',
+    placeholder: 'Phenotype/disease terms or IDs',
+    helpText: 'Returns IDs of genes associated with the specified diseases/phenotypes.',
+    ontologies: ['Mammalian Phenotype', 'Disease Ontology']
+  },
+  expression: {
+    name: 'Expression',
+    label: 'Search by expression location',
+    placeholder: 'Anatomy terms or IDs',
+    helpText: 'Returns IDs of genes with expression results in the specified tissue or anatomical structure.'
+  },
+  function: {
+    name: 'Function',
+    label: 'Search by cellular function',
+    placeholder: 'Gene Ontology (GO) terms or IDs',
+    helpText: 'Returns IDs of genes associated with the specified cellular process, function, or location.'
+  },
+  pathway: {
+    name: 'Pathway',
+    label: 'Search by pathway',
+    placeholder: 'Pathway names or IDs',
+    helpText: 'Returns IDs of genes in the specified pathways.'
+  },
+  lookup: {
+    name: 'Symbol/ID',
+    label: 'Search by symbol/ID',
+    placeholder: 'Gene symbols, names, synonyms, or IDs',
+    helpText: ''
+  }
+}
+
+// ---------------------------------------------------------------------
+// Queries against an InterMine instance (MouseMine, HumanMine, RatMine, FlyMine, ...).
+// Config (see QueryRegistry):
+//   name (string) the provider's name, eg, "MouseMine"
+//   url (string) the mine's base url, eg, "https://www.mousemine.org/mousemine"
+//   taxonid (string) the taxon the queries are restricted to, eg, "10090"
+//   queries (list) optional. The queries offered, each a kind (see KINDS), or an object with
+//     a kind plus any overrides, eg, { kind: "phenotype", ontologies: ["Human Phenotype Ontology"] }.
+//     Default: all kinds except expression (which only MouseMine supports).
+//   idPrefix (string) optional. Prepended to result IDs that don't already have it, eg, "RGD:".
+class InterMineQueries {
+  constructor (cfg) {
+    this.name = cfg.name
+    this.taxonid = cfg.taxonid
+    this.qUrl = cfg.url.replace(/\/$/, '') + '/service/query/results?'
+    this.idPrefix = cfg.idPrefix || ''
+    this.kinds = (cfg.queries || ['phenotype', 'function', 'pathway', 'lookup']).map(q => {
+      const spec = typeof(q) === 'string' ? { kind: q } : q
+      if (!KINDS[spec.kind]) throw `Unknown InterMine query kind: ${spec.kind}`
+      return Object.assign({}, KINDS[spec.kind], spec)
+    })
+  }
+  // Args:
+  //   q - query in XML fomat
+  //   mapper - (optional) function that maps each result into a desired form
+  doQuery (q, mapper) {
+    mapper = mapper || (x => x)
+    let format = 'json'
+    let query = encodeURIComponent(q)
+    let url = this.qUrl + `format=${format}&query=${query}`
+    return u.fetch(url, 'json').then(data => data.results.map(mapper))
+  }
+  // Maps a result row to the ID in its first column
+  toId (r) {
+    const id = r[0]
+    return id.startsWith(this.idPrefix) ? id : this.idPrefix + id
+  }
+  getQueries () {
+    return this.kinds.map(k => {
+      return {
+        name: k.name,
+        label: k.label,
+        placeholder: k.placeholder,
+        helpText: k.helpText,
+        lookup: k.kind === 'lookup',
+        handler: (val) => this.runKind(k, val)
+      }
+    })
+  }
+  runKind (k, val) {
+    switch (k.kind) {
+    case 'phenotype':
+      return this.queryByOntologyTerm(val, k.ontologies)
+    case 'expression':
+      return this.queryByExpression(val)
+    case 'function':
+      return this.queryByFunction(val)
+    case 'pathway':
+      return this.queryByPathway(val)
+    default:
+      return this.queryByLookup(val)
+    }
+  }
+  isIdentifier (q) {
+    let pts = q.split(':')
+    if (pts.length === 2 && pts[1].match(/^[0-9]+$/)) return true
+    if (q.toLowerCase().match(/^r-[a-z]{3}-/)) return true
+    return false
+  }
+  //
+  addWildcards (q) {
+    return (this.isIdentifier(q) || q.indexOf('*') >= 0) ? q : `*${q}*`
+  }
+  //
+  // do a LOOKUP query for Genes
+  queryByLookup (qryString) {
+    const q = `<query name="" model="genomic"
+        view="Gene.primaryIdentifier Gene.symbol"
+        constraintLogic="A and B and C">
+            <constraint code="A" path="Gene" op="LOOKUP" value="${qryString}"/>
+            <constraint code="B" path="Gene.organism.taxonId" op="=" value="${this.taxonid}"/>
+            <constraint code="C" path="Gene.sequenceOntologyTerm.name" op="!=" value="transgene"/>
+        </query>`
+    return this.doQuery(q, r => this.toId(r))
+  }
+  //
+  queryByPathway (qryString) {
+    qryString = this.addWildcards(qryString)
+    const q = `<query name="" model="genomic"
+        view="Gene.primaryIdentifier Gene.symbol" constraintLogic="A and B">
+        <constraint path="Gene.pathways" code="A" op="LOOKUP" value="${qryString}"/>
+        <constraint path="Gene.organism.taxonId" code="B" op="=" value="${this.taxonid}"/>
+        </query>`
+    return this.doQuery(q, r => this.toId(r))
+  }
+  //
+  queryByExpression (qryString) {
+    qryString = this.addWildcards(qryString)
+    const q = `<query model="genomic"
+      view="GXDExpression.feature.primaryIdentifier"
+      constraintLogic="A and (B or (C and D)) and E"
+      >
+      <constraint path="GXDExpression.structure.parents" code="A" op="LOOKUP" value="${qryString}" />
+      <constraint path="GXDExpression.genotype.hasMutantAllele" code="B" op="=" value="false"/>
+      <constraint path="GXDExpression.assayType" code="C" op="=" value="In situ reporter (knock in)"/>
+      <constraint path="GXDExpression.genotype.zygosity" code="D" op="=" value="ht"/>
+      <constraint path="GXDExpression.detected" code="E" op="=" value="true"/>
+      </query>`
+    return this.doQuery(q, r => this.toId(r))
+  }
+  //
+  queryByOntologyTerm (qryString, termTypes) {
+    qryString = this.addWildcards(qryString)
+    const q = `<query name="" model="genomic"
+        view="Gene.primaryIdentifier Gene.symbol" constraintLogic="A and B and C and D">
+        <constraint code="A" path="Gene.ontologyAnnotations.ontologyTerm.parents" op="LOOKUP" value="${qryString}"/>
+        <constraint code="B" path="Gene.organism.taxonId" op="=" value="${this.taxonid}"/>
+        <constraint code="C" path="Gene.sequenceOntologyTerm.name" op="!=" value="transgene"/>
+        <constraint code="D" path="Gene.ontologyAnnotations.ontologyTerm.ontology.name" op="ONE OF">
+            ${termTypes.map(tt => '<value>' + tt + '</value>').join('')}
+        </constraint>
+    </query>`
+    return this.doQuery(q, r => this.toId(r))
+  }
+  //
+  queryByFunction (qryString) {
+    return this.queryByOntologyTerm(qryString, ['Gene Ontology'])
+  }
+  queryByPhenoDisease (qryString) {
+    return this.queryByOntologyTerm(qryString, KINDS.phenotype.ontologies)
+  }
+}
+
+export default InterMineQueries
@@ -0,0 +1,85 @@
+// ---------------------------------------------------------------------
+// An index for finding the items that overlap a range, eg, the features in a region.
+// Implemented as an implicit interval tree over the items sorted by start position. The tree
+// is a complete binary tree laid out in the array itself (leaves at even indices, the node at
+// level k has k trailing 1 bits in its index); each node records the maximum end position in its
+// subtree, which lets queries skip subtrees that end before the range starts. Building it is O(n),
+// and a query is O(log n + m), where m is the number of items found.
+// See: Heng Li, cgranges (https://github.com/lh3/cgranges).
+//
+// Items are objects with start and end (1-based, closed), and are not modified (they may be frozen).
+//
+// Below this level, subtrees are scanned linearly
+const SCAN_LEVEL = 3
+
+class IntervalIndex {
+  // Args:
+  //   items (list) the items to index, sorted by start
+  constructor (items) {
+    this.items = items
+    this.maxEnd = new Float64Array(items.length)
+    this.maxLevel = this.build()
+  }
+  // Computes maxEnd for every node. Returns the level of the root.
+  build () {
+    const a = this.items
+    const max = this.maxEnd
+    const n = a.length
+    if (n === 0) return -1
+    let lastI = 0
+    let last = 0
+    for (let i = 0; i < n; i += 2) {
+      lastI = i
+      last = max[i] = a[i].end
+    }
+    let k = 1
+    for (; (1 << k) <= n; k++) {
+      const x = 1 << (k - 1)
+      const i0 = (x << 1) - 1
+      const step = x << 2
+      for (let i = i0; i < n; i += step) {
+        const el = max[i - x] // left child
+        const er = i + x < n ? max[i + x] : last // right child
+        max[i] = Math.max(a[i].end, el, er)
+      }
+      // The last node at this level, which may lie past the end of the array (its value is carried in last)
+      lastI = (lastI >> k) & 1 ? lastI - x : lastI + x
+      if (lastI < n && max[lastI] > last) last = max[lastI]
+    }
+    return k - 1
+  }
+  // Returns the items that overlap the range [s, e] (1-based, closed), sorted by start.
+  query (s, e) {
+    const a = this.items
+    const max = this.maxEnd
+    const n = a.length
+    const found = []
+    if (n === 0) return found
+    // each stack entry: node index, node level, and whether its left subtree is done
+    const stack = [[(1 << this.maxLevel) - 1, this.maxLevel, false]]
+    while (stack.length) {
+      const [x, k, leftDone] = stack.pop()
+      if (k <= SCAN_LEVEL) {
+        // small subtree. scan it.
+        const i0 = x >> k << k
+        const i1 = Math.min(i0 + (1 << (k + 1)) - 1, n)
+        for (let i = i0; i < i1 && a[i].start <= e; i++) {
+          if (a[i].end >= s) found.push(i)
+        }
+      } else if (!leftDone) {
+        // revisit this node after its left subtree
+        const y = x - (1 << (k - 1))
+        stack.push([x, k, true])
+        // nodes past the end of the array may still have descendants within it
+        if (y >= n || max[y] >= s) stack.push([y, k - 1, false])
+      } else if (x < n && a[x].start <= e) {
+        // this node, then its right subtree (whose items all start after this one's)
+        if (a[x].end >= s) found.push(x)
+        stack.push([x + (1 << (k - 1)), k - 1, false])
+      }
+    }
+    return found.sort((i, j) => i - j).map(i => a[i])
+  }
+}
+
+export default IntervalIndex
@@ -0,0 +1,65 @@
+// ---------------------------------------------------------------------
+// Queries answered from JSON files, eg, term-to-gene mappings prepared along with the data.
+// Config (see QueryRegistry):
+//   name (string) the provider's name
+//   taxonid (string) optional. The taxon the provider serves (used for display and filtering)
+//   queries (list) each { name, label, placeholder, helpText, url, lookup }. The url (absolute, or relative
+//     to the data url) names a JSON file mapping terms to lists of IDs, eg:
+//       { "abnormal heart morphology": ["MGI:97490", ...], "MP:0000266": ["MGI:97490", ...] }
+//     lookup (boolean) optional. If true, the query finds genes by symbol or ID (see QueryRegistry.getLookupQueries).
+// Terms are matched case-insensitively. If no term matches exactly, the IDs of all terms
+// containing the query string are returned.
+class JsonQueries {
+  // Args:
+  //   cfg (object) the provider config
+  //   dataManager (DataManager) for reading the files
+  constructor (cfg, dataManager) {
+    this.name = cfg.name
+    this.taxonid = cfg.taxonid
+    this.dataManager = dataManager
+    this.specs = cfg.queries || []
+    // url -> promise for the lowercased mapping
+    this.url2promise = {}
+  }
+  getQueries () {
+    return this.specs.map(s => {
+      return {
+        name: s.name,
+        label: s.label || `Search by ${s.name}`,
+        placeholder: s.placeholder || '',
+        helpText: s.helpText || '',
+        lookup: Boolean(s.lookup),
+        handler: (val) => this.queryByTerm(s.url, val)
+      }
+    })
+  }
+  // Returns a promise for the mapping in the named file, with its terms lowercased.
+  getMapping (url) {
+    if (!url.match(/^[a-z]+:\/\//i)) url = `${this.dataManager.url}/${url}`
+    let p = this.url2promise[url]
+    if (!p) {
+      p = this.url2promise[url] = this.dataManager.dataSource.fetch(url, 'json').then(data => {
+        return Object.keys(data).reduce((m, k) => {
+          const lk = k.toLowerCase()
+          m[lk] = (m[lk] || []).concat(data[k])
+          return m
+        }, {})
+      }).catch(err => {
+        delete this.url2promise[url]
+        throw err
+      })
+    }
+    return p
+  }
+  queryByTerm (url, qryString) {
+    const q = qryString.toLowerCase()
+    return this.getMapping(url).then(m => {
+      if (m.hasOwnProperty(q)) return m[q].slice()
+      const ids = new Set()
+      Object.keys(m).forEach(k => k.indexOf(q) >= 0 && m[k].forEach(id => ids.add(id)))
+      return Array.from(ids)
+    })
+  }
+}
+
+export default JsonQueries
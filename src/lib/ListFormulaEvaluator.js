@@ -3,9 +3,12 @@ import ListFormulaParser from './ListFormulaParser'
 // ---------------------------------------------
 // Knows how to parse and evaluate a list formula (aka list expression).
 class ListFormulaEvaluator {
-    constructor (listManager, externalQueries) {
+    // Args:
+    //   listManager (ListManager)
+    //   queryRegistry (QueryRegistry) the external queries available to the ? operator
+    constructor (listManager, queryRegistry) {
         this.listManager = listManager
-        this.queries = externalQueries
+        this.queries = queryRegistry
         this.parser = new ListFormulaParser()
     }
     // Returns list of other lists referenced by this list's formula
@@ -26,10 +29,15 @@ class ListFormulaEvaluator {
       reach(ast)
       return Array.from(deps)
     }
+    // Reevaluates the list's formula (if any), then those of the lists that depend on it.
+    // Returns a promise.
     refresh (lst, path) {
-        this.refreshList(lst).then(() => {
+        path = (path || [])
+        // a list whose formula (indirectly) references itself
+        if (path.indexOf(lst) !== -1) return Promise.resolve()
+        return this.refreshList(lst).then(() => {
           const deps = this.listManager.getDependents(lst)
-          Promise.all(deps.map(dlst => this.refresh(dlst)))
+          return Promise.all(deps.map(dlst => this.refresh(dlst, path.concat([lst]))))
         })
     }
     // If list has a formula, reevaluates the formula and updates the list items.
@@ -66,9 +74,8 @@ class ListFormulaEvaluator {
             else if (n.op === '?') {
                 const qtype = n.left
                 const qval = n.right
-                const query = this.queries.filter(q => q.name === qtype)[0]
-                if (!query) throw "No such query: " + qtype
-                return query.handler(qval).then(res => new Set(res))
+                // resolved against every provider having the query (see QueryRegistry)
+                return this.queries.runQuery(qtype, qval).then(res => new Set(res))
             } else {
                 let lp = reach(n.left)
                 let rp = reach(n.right)
@@ -100,7 +107,7 @@ class ListFormulaEvaluator {
     }
     // Checks the current expression for syntactic and semantic validity and sets the 
     // valid/invalid class accordingly. Semantic validity simply means all names in the
-    // expression are bound.
+    // expression (of lists and queries) are bound.
     // 
     // Returns null if no expression is passed.
     // Returns true if the expression is valid.
@@ -112,12 +119,15 @@ class ListFormulaEvaluator {
             // first check syntax
             const lm  = this.listManager
             const ast = this.parser.parse(expr);
-            // now check list names
+            // now check list and query names
+            const qr = this.queries
             const reach = function (n) {
                 if (typeof(n) === "string") {
                     let lst = lm.getList(n)
                     if (!lst) throw "No such list: " + n
-                } else if (n.op !== "?") {
+                } else if (n.op === "?") {
+                    if (qr.findQueries(n.left).length === 0) throw "No such query: " + n.left
+                } else {
                     reach(n.left)
                     reach(n.right)
                 }
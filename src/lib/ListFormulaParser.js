@@ -0,0 +1,90 @@
+// ---------------------------------------------
+// Parses list formulas (aka list expressions) into syntax trees, for ListFormulaEvaluator.
+//
+// Grammar:
+//     expr   := term (('+' | '-') term)*
+//     term   := factor ('*' factor)*
+//     factor := '(' expr ')' | name '?' name | name
+//     name   := a quoted string ("..." or '...'), or a word of letters, digits, and _.:
+//
+// A name by itself refers to a list. In name ? name, the left side names a query (see QueryRegistry)
+// and the right side is the value to query for. Eg:
+//     (mylist + "other list") * Phenotype ? "abnormal hippocampus"
+//
+// The tree's leaves are (list name) strings. Its inner nodes are { op, left, right }, where op is
+// '+', '-', '*', or '?'.
+class ListFormulaParser {
+    // Returns the syntax tree of the expression. Throws a string describing the error if the
+    // expression is not valid.
+    parse (expr) {
+        this.tokens = this.tokenize(expr)
+        this.i = 0
+        const ast = this.parseExpr()
+        if (this.i < this.tokens.length) this.error("Unexpected " + this.tokens[this.i].text)
+        return ast
+    }
+    // Returns the tokens of the expression, each { type, text, pos }, where type is 'name' or 'op'.
+    tokenize (expr) {
+        const re = /\s*(?:"([^"]*)"|'([^']*)'|([A-Za-z0-9_.:]+)|([-+*?()])|(\S))/g
+        const tokens = []
+        let m
+        while ((m = re.exec(expr)) !== null && m[0]) {
+            if (m[5] !== undefined) throw `Syntax error at ${m.index}: unexpected character ${m[5]}`
+            const name = m[1] !== undefined ? m[1] : m[2] !== undefined ? m[2] : m[3]
+            if (name !== undefined) {
+                tokens.push({ type: 'name', text: name, pos: m.index })
+            } else if (m[4] !== undefined) {
+                tokens.push({ type: 'op', text: m[4], pos: m.index })
+            }
+        }
+        return tokens
+    }
+    error (msg) {
+        const t = this.tokens[this.i]
+        throw `Syntax error${t ? ' at ' + t.pos : ''}: ${msg}`
+    }
+    peek (text) {
+        const t = this.tokens[this.i]
+        return t && t.type === 'op' && t.text === text
+    }
+    parseExpr () {
+        let left = this.parseTerm()
+        while (this.peek('+') || this.peek('-')) {
+            const op = this.tokens[this.i++].text
+            left = { op, left, right: this.parseTerm() }
+        }
+        return left
+    }
+    parseTerm () {
+        let left = this.parseFactor()
+        while (this.peek('*')) {
+            this.i++
+            left = { op: '*', left, right: this.parseFactor() }
+        }
+        return left
+    }
+    parseFactor () {
+        if (this.peek('(')) {
+            this.i++
+            const e = this.parseExpr()
+            if (!this.peek(')')) this.error("Expected )")
+            this.i++
+            return e
+        }
+        const left = this.parseName()
+        if (this.peek('?')) {
+            this.i++
+            return { op: '?', left, right: this.parseName() }
+        }
+        return left
+    }
+    parseName () {
+        const t = this.tokens[this.i]
+        if (!t) this.error("Unexpected end of formula")
+        if (t.type !== 'name') this.error("Expected a name but found " + t.text)
+        this.i++
+        return t.text
+    }
+}
+
+export default ListFormulaParser
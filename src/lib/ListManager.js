@@ -1,4 +1,5 @@
 import KeyStore from '@/lib/KeyStore'
+import ListFormulaEvaluator from '@/lib/ListFormulaEvaluator'
 import config from '@/config'
 import u from '@/lib/utils'
 
@@ -8,6 +9,8 @@ class ListManager {
     this.listStore = new KeyStore(config.ListManager.dbName)
     this.lists = lists
     this.listByName = {}
+    // evaluates list formulas, whose ? operator runs the app's external queries
+    this.lfe = new ListFormulaEvaluator(this, app.queryRegistry)
     this.app.$root.$on('list-delete', d => {
       this.deleteList(d.name)
     })
@@ -45,11 +48,29 @@ class ListManager {
     this.app.$nextTick(() => this.app.$root.$emit('list-click', { list: list, event: { shiftKey: true }}))
     return list
   }
+  // Creates a list whose items are the result of the formula (see ListFormulaParser).
+  // Returns a promise for the list.
+  newFormulaList (name, formula, color, description) {
+    const valid = this.lfe.isValid(formula)
+    if (valid !== true) return Promise.reject(valid || "Empty formula")
+    return Promise.resolve().then(() => this.lfe.eval(formula)).then(ids => this.newList(name, ids, color, formula, description))
+  }
+  // Reevaluates the list's formula (if any), and those of the lists depending on it.
+  // Returns a promise.
+  refresh (list) {
+    return Promise.resolve().then(() => this.lfe.refresh(list))
+  }
   // Returns a mapping from list (name) to (names of) lists that reference it in their formulas
   buildDependencyGraph () {
     return this.lists.reduce((a,l) => {
       const ln = l.name
-      const deps = this.lfe.getDependencies(l)
+      let deps
+      try {
+        deps = this.lfe.getDependencies(l)
+      } catch (e) {
+        // formula is broken (eg, references a deleted list)
+        deps = []
+      }
       deps.forEach(d => {
         const dn = d.name
         if (dn in a) {
@@ -61,6 +82,11 @@ class ListManager {
       return a
     }, {})
   }
+  // Returns the lists whose formulas reference the given list
+  getDependents (list) {
+    const names = this.buildDependencyGraph()[list.name]
+    return names ? Array.from(names).map(n => this.getList(n)) : []
+  }
   updateList (list, updates) {
     if (updates.name && updates.name !== list.name) {
       updates.name = this.uniqify(updates.name)
@@ -0,0 +1,119 @@
+import u from '@/lib/utils'
+import AllianceQueries from '@/lib/AllianceQueries'
+import InterMineQueries from '@/lib/InterMineQueries'
+import JsonQueries from '@/lib/JsonQueries'
+
+// Provider classes, by the type named in the config
+const PROVIDER_TYPES = {
+  intermine: InterMineQueries,
+  alliance: AllianceQueries,
+  json: JsonQueries
+}
+
+// Used if runtimeConfig.json does not specify any providers. (The help texts point to MGI's vocabulary browsers.)
+const DEFAULT_PROVIDERS = [{
+  type: 'intermine',
+  name: 'MouseMine',
+  url: 'https://www.mousemine.org/mousemine',
+  taxonid: '10090',
+  queries: [{
+    kind: 'phenotype',
+    placeholder: 'Pheno/disease (MP/DO) term or IDs',
+    helpText: 'Returns IDs of mouse genes associated with specified disease/phenotypes. Find terms/IDs for <a target="_blank" href="http://www.informatics.jax.org/vocab/mp_ontology/">phenotypes</a> and <a target="_blank" href="http://www.informatics.jax.org/disease">diseases</a>.'
+  }, {
+    kind: 'expression',
+    placeholder: 'Anatomy (EMAPA) terms or IDs',
+    helpText: 'Returns IDs of mouse genes with expression results in the specified tissue or anatomical structure. Find terms/IDs for <a target="_blank" href="http://www.informatics.jax.org/vocab/gxd/anatomy/EMAPA:16039">mouse anatomy</a>.'
+  }, {
+    kind: 'function',
+    helpText: 'Returns IDs of genes associated with the specified cellular process, function, or location. Find GO terms/IDs for gene cellular <a target="_blank" href="http://www.informatics.jax.org/vocab/gene_ontology">function, process, and location</a>.'
+  }, {
+    kind: 'lookup',
+    placeholder: 'MGI names, synonyms, etc.'
+  }]
+}]
+
+// ---------------------------------------------------------------------
+// Registry of the external query providers (InterMine instances, the Alliance, local JSON files)
+// that can find lists of gene IDs. Providers are configured by runtimeConfig.queryProviders, a list
+// of objects each with a type (a key of PROVIDER_TYPES), a name, and a taxonid, plus whatever
+// the provider type requires (see the provider classes). Eg:
+//     "queryProviders": [
+//       { "type": "intermine", "name": "MouseMine", "url": "https://www.mousemine.org/mousemine", "taxonid": "10090" },
+//       { "type": "intermine", "name": "HumanMine", "url": "https://www.humanmine.org/humanmine", "taxonid": "9606",
+//         "queries": [{ "kind": "phenotype", "ontologies": ["Human Phenotype Ontology", "Disease Ontology"] }, "function", "lookup"] },
+//       { "type": "alliance", "name": "Alliance", "species": "Homo sapiens", "taxonid": "9606" },
+//       { "type": "json", "name": "Local", "queries": [{ "name": "Pathway", "url": "queries/pathways.json" }] }
+//     ]
+//
+// Each query is { name, baseName, label, placeholder, helpText, lookup, handler, provider, taxonid }, where
+// handler(val) returns a promise for a list of IDs, and lookup is true if the query finds genes by symbol
+// or ID. When there is more than one provider, names and labels are qualified by the provider's name
+// (eg, "HumanMine:Function"); baseName is always unqualified.
+class QueryRegistry {
+  // Args:
+  //   app (MGV)
+  //   cfgs (list) optional. The provider configs. Default: MouseMine.
+  constructor (app, cfgs) {
+    this.app = app
+    this.providers = (cfgs || DEFAULT_PROVIDERS).map(cfg => {
+      const cls = PROVIDER_TYPES[cfg.type]
+      if (!cls) {
+        u.debug(`Unknown query provider type: ${cfg.type}`)
+        return null
+      }
+      try {
+        return new cls(cfg, app.dataManager)
+      } catch (e) {
+        u.debug(`Could not create query provider ${cfg.name}: ${e}`)
+        return null
+      }
+    }).filter(p => p)
+    const qualify = this.providers.length > 1
+    this.queries = this.providers.reduce((a, p) => {
+      return a.concat(p.getQueries().map(q => {
+        return Object.assign(q, {
+          baseName: q.name,
+          name: qualify ? `${p.name}:${q.name}` : q.name,
+          label: qualify ? `${p.name}: ${q.label}` : q.label,
+          provider: p.name,
+          taxonid: p.taxonid || null
+        })
+      }))
+    }, [])
+  }
+  // Returns the queries, optionally only those of providers serving one of the given taxons
+  // (providers that don't declare a taxon serve all).
+  // Args:
+  //   taxonids (list of string) optional.
+  getQueries (taxonids) {
+    if (!taxonids) return this.queries
+    const tset = new Set(taxonids)
+    return this.queries.filter(q => !q.taxonid || tset.has(q.taxonid))
+  }
+  // Returns the queries (of all providers) that find genes by symbol or ID.
+  getLookupQueries () {
+    return this.queries.filter(q => q.lookup)
+  }
+  // Returns the queries matching a name, which may be qualified (one provider's) or not (all providers').
+  findQueries (qtype) {
+    const exact = this.queries.filter(q => q.name === qtype)
+    return exact.length ? exact : this.queries.filter(q => q.baseName === qtype)
+  }
+  // Runs the named query against every provider having it. Returns a promise for the union of the IDs.
+  // A provider that fails contributes no IDs (and a message saying so).
+  runQuery (qtype, val) {
+    const qs = this.findQueries(qtype)
+    if (qs.length === 0) return Promise.reject("No such query: " + qtype)
+    return Promise.all(qs.map(q => q.handler(val).catch(err => {
+      this.app.$root.$emit('message', { message: `Query ${q.name} failed: ${err}` })
+      return []
+    }))).then(results => {
+      const ids = new Set()
+      results.forEach(r => r.forEach(id => ids.add(id)))
+      return Array.from(ids)
+    })
+  }
+}
+
+export default QueryRegistry
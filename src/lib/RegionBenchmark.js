@@ -0,0 +1,59 @@
+import u from '@/lib/utils'
+
+// ---------------------------------------------------------------------
+// Benchmark for the feature queries made when regions are redrawn. Simulates panning across
+// the first chromosome of each of several genomes at whole-chromosome zoom, querying each
+// step's features the way ZoomRegion.getFeatures does (region padded by its width on each side),
+// and times one "redraw" (all genomes) both through the interval index (DataManager.getGenes)
+// and by filtering the full feature list (the old way).
+//
+// Run from the browser console, eg: app.benchmarkRegions() (see MGV.benchmarkRegions)
+//
+// Args:
+//   dm (DataManager)
+//   genomes (list of genomes) at least 8, to be meaningful
+//   nsteps (int) optional. Number of pan steps. Default 50.
+// Returns a promise for a summary { genomes, steps, features, indexed, linear } where indexed and
+// linear are the mean times (ms) per redraw.
+function benchmarkRegions (dm, genomes, nsteps) {
+  nsteps = nsteps || 50
+  if (genomes.length < 8) u.debug(`Benchmark: only ${genomes.length} genomes. At least 8 are recommended.`)
+  return Promise.all(genomes.map(g => dm.ensureChromosome(g, g.chromosomes[0]))).then(() => {
+    const chrs = genomes.map(g => g.chromosomes[0])
+    // region for step i: the whole chromosome, shifted by i/nsteps of its length, then padded
+    const region = (c, i) => {
+      const len = c.length
+      const start = 1 + Math.floor(i * len / nsteps)
+      return { start: start - len, end: start + 2 * len - 1 }
+    }
+    let nfeats = 0
+    // indexed queries, via getGenes (features only, as at whole-chromosome zoom)
+    const t0 = performance.now()
+    const p = Array.from({ length: nsteps }).reduce((pp, x, i) => pp.then(() => {
+      return Promise.all(genomes.map((g, j) => {
+        const r = region(chrs[j], i)
+        return dm.getGenes(g, chrs[j], r.start, r.end, false).then(feats => { nfeats += feats.length })
+      }))
+    }), Promise.resolve())
+    return p.then(() => {
+      const indexed = (performance.now() - t0) / nsteps
+      // linear scans
+      const t1 = performance.now()
+      for (let i = 0; i < nsteps; i++) {
+        genomes.forEach((g, j) => {
+          const r = region(chrs[j], i)
+          dm.getAllFeaturesNow(g, chrs[j]).filter(f => f.start <= r.end && f.end >= r.start)
+        })
+      }
+      const linear = (performance.now() - t1) / nsteps
+      const summary = { genomes: genomes.length, steps: nsteps, features: nfeats / nsteps, indexed, linear }
+      u.debug(`Benchmark: ${summary.genomes} genomes, ${summary.steps} steps, ${Math.round(summary.features)} features per redraw. ` +
+        `Mean time per redraw: indexed ${indexed.toFixed(2)} ms, linear ${linear.toFixed(2)} ms.`)
+      return summary
+    })
+  })
+}
+
+export {
+  benchmarkRegions
+}
@@ -4,6 +4,11 @@
 //`
 import u from '@/lib/utils'
 import gc from '@/lib/GenomeCoordinates'
+import { PRIORITY } from '@/lib/RequestQueue'
+
+// Features per Mb to assume for a genome whose density isn't known yet because none of its
+// features have been loaded (eg, when its regions were mapped by synteny). Roughly a mammal's.
+const DEFAULT_FEATURE_DENSITY = 20
 
 // The RegionManager maintains the set of genomic regions that specify what to display in the ZoomView.
 class RegionManager {
@@ -13,6 +18,7 @@ class RegionManager {
     this.currRegion = null
     this.rCount = 0
     this.lastOp = null
+    this.controllers = {} // region id -> AbortController for the region's pending data requests
     //
     this.app.$root.$on('region-current', r => {
       if (r) this.currRegion = r.region
@@ -125,16 +131,19 @@ class RegionManager {
     } else {
       const chr = g.chromosomes[0]
       const approxNgenes = 150
-      const len = Math.round(1000000 * approxNgenes / g.featureDensity)
-      p = Promise.resolve({
-        genome: g,
-        regions: [{
+      // loading the chromosome gives us the genome's feature density
+      p = this.app.dataManager.ensureChromosome(g, chr).then(() => {
+        const len = Math.round(1000000 * approxNgenes / (g.featureDensity || DEFAULT_FEATURE_DENSITY))
+        return {
           genome: g,
-          chr: chr,
-          start: 1,
-          end: Math.min(len, chr.length),
-          width: 1 // value doesn't matter here
-          }]
+          regions: [{
+            genome: g,
+            chr: chr,
+            start: 1,
+            end: Math.min(len, chr.length),
+            width: 1 // value doesn't matter here
+            }]
+        }
       })
     }
     return p.then(strip => {
@@ -381,8 +390,9 @@ class RegionManager {
         // compute an estimated merge widow, which is the size
         // region estimated to contain a max number of features
         const maxIncrease = 25
-        const mergeWindow = 1000000 * (maxIncrease / g.featureDensity)
-        if (db <= mergeWindow) {
+        const mergeWindow = 1000000 * (maxIncrease / (g.featureDensity || DEFAULT_FEATURE_DENSITY))
+        // (regions shown in opposite orientations stay separate)
+        if (db <= mergeWindow && !!r0.reversed === !!r.reversed) {
           r0.start = Math.min(r0.start, r.start)
           r0.end = Math.max(r0.end, r.end)
           r0.length = r0.end - r0.start + 1
@@ -450,19 +460,62 @@ class RegionManager {
     })
   }
   //--------------------------------------
-  // Maps region ra to corresponding region(s) in genome gb, based on homology relationships.
+  // Maps region ra to corresponding region(s) in genome gb: through syntenic blocks if there are synteny
+  // data for the pair (see mapRegionBySynteny), otherwise based on homology relationships.
   mapRegionToGenome (ra, gb) {
     const dm = this.app.dataManager
-    return dm.ensureFeatures(ra.genome).then(
-      () => dm.ensureFeatures(gb)).then(
-      () => this.mapRegionToGenomeNow(ra,gb))
+    return dm.getSyntenyMap(ra.genome, gb).then(smap => {
+      const rbs = smap ? this.mapRegionBySynteny(ra, gb, smap) : []
+      if (rbs.length) return rbs
+      return dm.ensureChromosome(ra.genome, ra.chr).then(
+        () => this.loadMappingData(ra, gb)).then(
+        () => this.mapRegionToGenomeNow(ra,gb))
+    })
+  }
+  //--------------------------------------
+  // Maps region ra to genome gb through the syntenic blocks of smap. Unlike mapping by homology,
+  // needs no features, so intergenic and gene-poor regions map as well as any. A region mapped
+  // through an inverted block is shown in the opposite orientation from ra.
+  // Returns [] if ra's chromosome has no blocks.
+  mapRegionBySynteny (ra, gb, smap) {
+    return smap.mapRegion(ra.chr.name, ra.start, ra.end).map(p => {
+      const chr = gb.name2chr[p.chr]
+      if (!chr) return null
+      const start = Math.max(1, p.start)
+      const end = Math.min(chr.length, p.end)
+      return this.makeRegion({
+        genome: gb,
+        chr: chr,
+        start: start,
+        end: end,
+        length: end - start + 1,
+        reversed: p.inverted !== !!ra.reversed
+      })
+    }).filter(r => r && r.start <= r.end)
+  }
+  //--------------------------------------
+  // Loads the homologs in genome gb of the features in region ra, widening ra the same way
+  // mapRegionToGenomeNow does until some are found. If there are none at all, loads
+  // enough of gb for mapRegionToGenomeNow's fallback. Assumes ra's chromosome has been loaded.
+  loadMappingData (ra, gb) {
+    const dm = this.app.dataManager
+    const afeats = dm.getFeaturesInRangeNow(ra.genome, ra.chr, ra.start, ra.end)
+    return dm.ensureHomologs(afeats, [gb]).then(bfeats => {
+      if (bfeats.length) return
+      const w = ra.end - ra.start + 1
+      if (w < ra.chr.length) {
+        return this.loadMappingData(Object.assign({}, ra, { start: ra.start - w, end: ra.end + w }), gb)
+      }
+      return dm.ensureChromosome(gb, gb.chromosomes[0])
+    })
   }
   //--------------------------------------
-  // Maps region ra to genome gb immediately, ie, assumes genomes have been loaded.
+  // Maps region ra to genome gb immediately, ie, assumes the needed features have been
+  // loaded (see mapRegionToGenome).
   mapRegionToGenomeNow (ra, gb) {
     const dm = this.app.dataManager
     // features from the A region
-    const afeats = dm.getAllFeaturesNow(ra.genome, ra.chr).filter(f => gc.overlaps(f, ra))
+    const afeats = dm.getFeaturesInRangeNow(ra.genome, ra.chr, ra.start, ra.end)
     //  homologs of the A features
     const bfeats = afeats.reduce((abpairs, a) => {
       const blist = dm.getHomologs(a, [gb])
@@ -554,7 +607,7 @@ class RegionManager {
       // Could not map the region - no homologs found.
       // Have a flower instead...
       const approxNgenes = 150
-      const len = 1000000 * approxNgenes / gb.featureDensity
+      const len = 1000000 * approxNgenes / (gb.featureDensity || DEFAULT_FEATURE_DENSITY)
       rbs.push(this.makeRegion({
         genome: gb,
         chr: gb.chromosomes[0],
@@ -625,22 +678,22 @@ class RegionManager {
   // It is also possible for there to be no landmark in a genome, in which case mapped
   // region(s) are computed.
   computeLandmarkRegions (lcoords, genomes) {
-    // ensure the landmark genome has been loaded
-    return this.app.dataManager.ensureFeatures(lcoords.lgenome).then(() => {
+    const dm = this.app.dataManager
+    // ensure the landmark has been loaded
+    const lp = lcoords.lfeature ? Promise.resolve([lcoords.lfeature]) : dm.findFeatures(lcoords.landmark, [lcoords.lgenome].concat(genomes))
+    // ensure its homologs in the target genomes have been loaded
+    return lp.then(lfeats => dm.ensureHomologs(lfeats, genomes)).then(() => {
       // for each target genome
       const ps = genomes.map(g => {
-        // ensure that genome has been loaded
-        return this.app.dataManager.ensureFeatures(g).then(() => {
-          // compute the landmark region in the target genome
-          const lmr = this.computeLandmarkRegion(lcoords, g)
-          if (lmr) return lmr
-          // if genome already being displayed, return current regions unchanged
-          const cstrip = this.findStrip(g)
-          if (cstrip >= 0) return this.app.strips[cstrip]
-          // final fallback: mapping 
-          const mr = this.mapLandmarkRegion(lcoords, g)
-          return mr
-        })
+        // compute the landmark region in the target genome
+        const lmr = this.computeLandmarkRegion(lcoords, g)
+        if (lmr) return lmr
+        // if genome already being displayed, return current regions unchanged
+        const cstrip = this.findStrip(g)
+        if (cstrip >= 0) return this.app.strips[cstrip]
+        // final fallback: mapping 
+        const mr = this.mapLandmarkRegion(lcoords, g)
+        return mr
       })
       return Promise.all(ps)
     })
@@ -648,7 +701,7 @@ class RegionManager {
   //
   //--------------------------------------
   // Computes the region(s) around the given landmark in the given genome.
-  // Assumes the genome has been loaded!
+  // Assumes the landmark's homologs in the genome have been loaded!
   // Args:
   //    lcoords (object) the landmark specification. Contains:
   //        One of:
@@ -718,7 +771,7 @@ class RegionManager {
   }
   //--------------------------------------
   // When a landmark does not exist in a given genome, use mapping as a fallback.
-  // 
+  // Returns a promise.
   mapLandmarkRegion (lcoords, genome) {
       const dm = this.app.dataManager
       // FIXME: picking arbitrary one...
@@ -732,10 +785,12 @@ class RegionManager {
         start: s,
         end: e
       }
-      return {
-        genome: genome,
-        regions: this.mapRegionToGenomeNow(lmr, genome)
-      }
+      return this.mapRegionToGenome(lmr, genome).then(regions => {
+        return {
+          genome: genome,
+          regions: regions
+        }
+      })
   }
   //--------------------------------------
   mergeUpdate (strips) {
@@ -902,8 +957,32 @@ class RegionManager {
     }
   }
   //--------------------------------------
+  // Returns options for the data requests made to display region r: { signal, priority }.
+  // Cancels any earlier requests for r that are still pending, since their results are stale.
+  requestOptions (r) {
+    this.cancelRequests(r.id)
+    const ac = new AbortController()
+    this.controllers[r.id] = ac
+    return { signal: ac.signal, priority: PRIORITY.VISIBLE }
+  }
+  // Cancels pending data requests for the region with the given id.
+  cancelRequests (rid) {
+    const ac = this.controllers[rid]
+    if (!ac) return
+    ac.abort()
+    delete this.controllers[rid]
+  }
+  // Cancels pending data requests for regions no longer displayed.
+  cancelStaleRequests () {
+    const ids = new Set(this.app.strips.reduce((a, s) => a.concat(s.regions.map(r => String(r.id))), []))
+    Object.keys(this.controllers).forEach(rid => {
+      if (!ids.has(rid)) this.cancelRequests(rid)
+    })
+  }
+  //--------------------------------------
   //
   announce () {
+    this.cancelStaleRequests()
     this.app.$root.$emit('context-changed')
   }
   //
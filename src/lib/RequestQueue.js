@@ -0,0 +1,119 @@
+import config from '@/config'
+
+// ---------------------------------------------------------------------
+// Schedules network requests. Limits how many run at once, starts the most important ones first,
+// and lets identical requests share one underlying request while it is in flight.
+//
+// Callers may pass an AbortSignal. Aborting it rejects the caller's promise (with ABORTED).
+// The underlying request is cancelled only once every caller sharing it has aborted.
+//
+const ABORTED = 'Request aborted.'
+
+// Request priorities. Higher values are started first.
+const PRIORITY = {
+  LOW: 0,
+  NORMAL: 1,
+  VISIBLE: 2 // data for regions currently on screen
+}
+
+class RequestQueue {
+  // Args:
+  //   maxActive (int) maximum number of requests running at once
+  constructor (maxActive) {
+    this.maxActive = maxActive
+    this.active = 0
+    this.seq = 0
+    this.queue = [] // requests waiting to start
+    this.inflight = new Map() // key -> request, for requests queued or running
+  }
+  // Schedules a request. Returns a promise for its result.
+  // Args:
+  //   key (string) identifies the request. Requests with the same key share one underlying
+  //     request while it is queued or running. If null, the request is not shared.
+  //   run (function) starts the request. Called with an AbortSignal. Returns a promise.
+  //   opts (object) optional. { signal, priority }
+  add (key, run, opts) {
+    opts = opts || {}
+    if (opts.signal && opts.signal.aborted) return Promise.reject(ABORTED)
+    const priority = opts.priority === undefined ? PRIORITY.NORMAL : opts.priority
+    let req = key === null ? null : this.inflight.get(key)
+    if (req) {
+      req.priority = Math.max(req.priority, priority)
+    } else {
+      req = { key, run, priority, seq: this.seq++, waiters: 0, started: false, controller: new AbortController() }
+      req.promise = new Promise((resolve, reject) => {
+        req.resolve = resolve
+        req.reject = reject
+      })
+      if (key !== null) this.inflight.set(key, req)
+      this.queue.push(req)
+    }
+    req.waiters += 1
+    const p = this.wait(req, opts.signal)
+    this.next()
+    return p
+  }
+  // Returns a promise for req's result that rejects early if signal is aborted.
+  wait (req, signal) {
+    if (!signal) return req.promise
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(ABORTED)
+        this.release(req)
+      }
+      signal.addEventListener('abort', onAbort, { once: true })
+      req.promise.then(resolve, reject).then(() => signal.removeEventListener('abort', onAbort))
+    })
+  }
+  // Called when a caller of req gives up. When the last one does, cancels req.
+  release (req) {
+    req.waiters -= 1
+    if (req.waiters > 0) return
+    if (this.inflight.get(req.key) === req) this.inflight.delete(req.key)
+    if (req.started) {
+      req.controller.abort()
+    } else {
+      this.queue.splice(this.queue.indexOf(req), 1)
+      req.reject(ABORTED)
+    }
+  }
+  // Starts queued requests, while there is room. Highest priority first; among equals, oldest first.
+  next () {
+    while (this.active < this.maxActive && this.queue.length) {
+      let best = 0
+      for (let i = 1; i < this.queue.length; i++) {
+        const a = this.queue[i]
+        const b = this.queue[best]
+        if (a.priority > b.priority || (a.priority === b.priority && a.seq < b.seq)) best = i
+      }
+      this.start(this.queue.splice(best, 1)[0])
+    }
+  }
+  start (req) {
+    req.started = true
+    this.active += 1
+    let p
+    try {
+      p = Promise.resolve(req.run(req.controller.signal))
+    } catch (e) {
+      p = Promise.reject(e)
+    }
+    p.then(req.resolve, err => {
+      req.reject(req.controller.signal.aborted ? ABORTED : err)
+    }).then(() => {
+      this.active -= 1
+      if (this.inflight.get(req.key) === req) this.inflight.delete(req.key)
+      this.next()
+    })
+  }
+}
+
+// The queue used for all network requests (see utils.fetch)
+const requestQueue = new RequestQueue(config.RequestQueue.maxActive)
+
+export {
+  ABORTED,
+  PRIORITY,
+  RequestQueue,
+  requestQueue
+}
@@ -0,0 +1,90 @@
+import IntervalIndex from '@/lib/IntervalIndex'
+
+// ---------------------------------------------------------------------
+// Maps coordinates from one genome (A) to another (B) through syntenic blocks: pairs of
+// corresponding intervals, in the same or opposite (inverted) orientations. Positions within a
+// block are translated by linear interpolation. Positions between blocks (eg, in gaps between
+// alignable sequence) are interpolated between the flanking blocks when both map to the same
+// B chromosome, and otherwise extrapolated from the nearer block.
+//
+// Blocks are read from a list of [achr, astart, aend, bchr, bstart, bend, orientation], where
+// orientation is "+" or "-" (inverted). Coordinates are 1-based, closed. Blocks in A should not overlap.
+class SyntenyMap {
+  // Args:
+  //   blocks (list) the blocks, as above
+  //   swap (boolean) optional. If true, the blocks are read with A and B exchanged, ie, the list
+  //     maps B to A. (So one file serves both directions.)
+  constructor (blocks, swap) {
+    this.byChr = {} // A chromosome name -> blocks, sorted by start
+    this.index = {} // A chromosome name -> IntervalIndex of blocks
+    blocks.forEach(b => {
+      const [ac, as, ae, bc, bs, be] = swap ? [b[3], b[4], b[5], b[0], b[1], b[2]] : b
+      const blk = { chr: ac, start: as, end: ae, bchr: bc, bstart: bs, bend: be, inverted: b[6] === '-' }
+      const cblocks = this.byChr[ac] = this.byChr[ac] || []
+      cblocks.push(blk)
+    })
+    Object.keys(this.byChr).forEach(cn => {
+      const cblocks = this.byChr[cn].sort((a, b) => a.start - b.start)
+      this.index[cn] = new IntervalIndex(cblocks)
+    })
+  }
+  // Translates position p (which may lie outside the block) to B, through block blk.
+  translate (blk, p) {
+    const scale = (blk.bend - blk.bstart + 1) / (blk.end - blk.start + 1)
+    const d = (p - blk.start) * scale
+    return Math.round(blk.inverted ? blk.bend - d : blk.bstart + d)
+  }
+  // Maps the interval s..e (in A) within block blk (or extrapolated from it). Returns { chr, start, end, inverted }.
+  mapThrough (blk, s, e) {
+    const bs = this.translate(blk, s)
+    const be = this.translate(blk, e)
+    return { chr: blk.bchr, start: Math.min(bs, be), end: Math.max(bs, be), inverted: blk.inverted }
+  }
+  // Maps the interval s..e, which lies in the gap between blocks prev and next (either may be null).
+  mapGap (prev, next, s, e) {
+    if (prev && next && prev.bchr === next.bchr) {
+      // interpolate between the B positions adjacent to the gap
+      const p0 = prev.inverted ? prev.bstart : prev.bend
+      const p1 = next.inverted ? next.bend : next.bstart
+      const gs = prev.end
+      const scale = (p1 - p0) / Math.max(1, next.start - gs)
+      const bs = Math.round(p0 + (s - gs) * scale)
+      const be = Math.round(p0 + (e - gs) * scale)
+      return { chr: prev.bchr, start: Math.min(bs, be), end: Math.max(bs, be), inverted: p1 < p0 }
+    }
+    // extrapolate from the nearer block
+    const blk = !next || (prev && s - prev.end <= next.start - e) ? prev : next
+    return this.mapThrough(blk, s, e)
+  }
+  // Maps the interval s..e of A chromosome chr (a name) to B. Returns a list of pieces, each
+  // { chr, start, end, inverted }, where chr is a B chromosome name. Consecutive pieces on the same B
+  // chromosome are merged if the gap between them is at most maxGap. Returns [] if chr has no blocks.
+  // Args:
+  //   chr, s, e - the A interval
+  //   maxGap (int) optional. Default: the length of the A interval.
+  mapRegion (chr, s, e, maxGap) {
+    const cblocks = this.byChr[chr]
+    if (!cblocks) return []
+    maxGap = maxGap === undefined ? e - s + 1 : maxGap
+    let pieces = this.index[chr].query(s, e).map(blk => this.mapThrough(blk, Math.max(s, blk.start), Math.min(e, blk.end)))
+    if (pieces.length === 0) {
+      const prev = cblocks.filter(b => b.end < s).pop() || null
+      const next = cblocks.filter(b => b.start > e)[0] || null
+      pieces = [this.mapGap(prev, next, s, e)]
+    }
+    const merged = pieces.reduce((a, p) => {
+      const last = a[a.length - 1]
+      if (last && last.chr === p.chr && Math.max(last.start, p.start) - Math.min(last.end, p.end) <= maxGap) {
+        last.start = Math.min(last.start, p.start)
+        last.end = Math.max(last.end, p.end)
+      } else {
+        a.push(Object.assign({}, p))
+      }
+      return a
+    }, [])
+    merged.forEach(p => { p.start = Math.max(1, p.start) })
+    return merged
+  }
+}
+
+export default SyntenyMap
@@ -0,0 +1,281 @@
+import u from '@/lib/utils'
+import gff from '@/lib/gff3lite'
+import vcf from '@/lib/vcflite'
+import { MAX_BLOCK_SIZE, bgzfBlocks, inflateBlocks, concatBytes } from '@/lib/bgzf'
+
+// ---------------------------------------------------------------------
+// Reads records from a bgzipped, tabix-indexed file (eg, foo.gff3.gz + foo.gff3.gz.tbi),
+// using HTTP range requests. This is an alternative to pre-chunked directories
+// (see ChunkedFileReader): any sorted, bgzipped annotation file can be viewed as is.
+// See: Li H, "Tabix: fast retrieval of sequence features from generic TAB-delimited files",
+// Bioinformatics 2011, and the SAM/BAM spec (for BGZF and the binning scheme).
+//
+const TABIX_MAGIC = 0x01494254 // "TBI\1"
+const LINEAR_SHIFT = 14 // linear index interval is 16kb
+const MAX_BIN = 37449 // bins above this are pseudo-bins (metadata)
+
+// Reads a virtual file offset, which is a 64-bit value whose high 48 bits are the offset
+// of a BGZF block in the compressed file and whose low 16 bits are an offset within
+// the decompressed block.
+function virtualOffset (dv, pos) {
+  const lo = dv.getUint32(pos, true)
+  const hi = dv.getUint32(pos + 4, true)
+  return { c: hi * 65536 + (lo >>> 16), u: lo & 0xffff }
+}
+
+function compareVOffsets (a, b) {
+  return a.c - b.c || a.u - b.u
+}
+
+// Returns the list of bins that may contain records overlapping [beg, end) (0-based, half-open).
+function reg2bins (beg, end) {
+  const bins = [0]
+  end -= 1
+  for (let k = 1 + (beg >> 26); k <= 1 + (end >> 26); k++) bins.push(k)
+  for (let k = 9 + (beg >> 23); k <= 9 + (end >> 23); k++) bins.push(k)
+  for (let k = 73 + (beg >> 20); k <= 73 + (end >> 20); k++) bins.push(k)
+  for (let k = 585 + (beg >> 17); k <= 585 + (end >> 17); k++) bins.push(k)
+  for (let k = 4681 + (beg >> 14); k <= 4681 + (end >> 14); k++) bins.push(k)
+  return bins
+}
+
+class TabixFileReader {
+  // Args:
+  //   type (string) the file type (gff3 or vcf)
+  //   fetcher (CachingFetcher) used for all requests
+  //   name (string) the track name
+  //   genome (object) the genome descriptor
+  //   url (string) the URL of the bgzipped file
+  //   indexUrl (string) optional. The URL of the tabix index. Default: url + '.tbi'
+  constructor (type, fetcher, name, genome, url, indexUrl) {
+    this.type = type
+    this.fetcher = fetcher
+    this.name = name
+    this.genome = genome
+    this.url = url
+    this.indexUrl = indexUrl || url + '.tbi'
+    this.indexP = null
+    this.headerP = null
+    this.header = null
+  }
+  // Returns a promise for the parsed tabix index. The index is small, so it's read all at once.
+  readIndex () {
+    if (this.indexP) return this.indexP
+    this.indexP = this.fetcher.fetch(this.indexUrl, 'arraybuffer').then(buf => {
+      return inflateBlocks(buf, bgzfBlocks(buf))
+    }).then(blocks => {
+      const bytes = concatBytes(blocks)
+      const dv = new DataView(bytes.buffer)
+      if (dv.getUint32(0, true) !== TABIX_MAGIC) u.fail(`Not a tabix index: ${this.indexUrl}`)
+      const nRef = dv.getInt32(4, true)
+      const lNm = dv.getInt32(32, true)
+      const names = new TextDecoder().decode(bytes.subarray(36, 36 + lNm)).split('\0').slice(0, nRef)
+      let pos = 36 + lNm
+      const refs = {}
+      names.forEach(n => {
+        const bins = {}
+        const nBin = dv.getInt32(pos, true)
+        pos += 4
+        for (let i = 0; i < nBin; i++) {
+          const bin = dv.getUint32(pos, true)
+          const nChunk = dv.getInt32(pos + 4, true)
+          pos += 8
+          const chunks = []
+          for (let j = 0; j < nChunk; j++) {
+            chunks.push({ beg: virtualOffset(dv, pos), end: virtualOffset(dv, pos + 8) })
+            pos += 16
+          }
+          if (bin <= MAX_BIN) bins[bin] = chunks
+        }
+        const nIntv = dv.getInt32(pos, true)
+        pos += 4
+        const linear = []
+        for (let i = 0; i < nIntv; i++) {
+          linear.push(virtualOffset(dv, pos))
+          pos += 8
+        }
+        refs[n] = { bins, linear }
+      })
+      return refs
+    })
+    return this.indexP
+  }
+  // Finds the name used for chromosome c in the file. Tolerates the "chr" prefix being present
+  // in one place but not the other. Returns null if not found.
+  getRefName (refs, c) {
+    const n = c.name
+    const alts = [n, 'chr' + n, n.replace(/^chr/, '')]
+    return alts.filter(a => refs[a])[0] || null
+  }
+  // Returns the (merged, sorted) list of chunks that may contain records overlapping
+  // [qs, qe) (0-based, half-open).
+  getChunks (ref, qs, qe) {
+    const li = Math.min(qs >> LINEAR_SHIFT, ref.linear.length - 1)
+    const minOffset = li >= 0 ? ref.linear[li] : { c: 0, u: 0 }
+    const chunks = u.concatAll(reg2bins(qs, qe).map(b => ref.bins[b] || []))
+      .filter(ch => compareVOffsets(ch.end, minOffset) > 0)
+      .sort((a, b) => compareVOffsets(a.beg, b.beg))
+    return chunks.reduce((a, ch) => {
+      const last = a[a.length - 1]
+      if (last && compareVOffsets(ch.beg, last.end) <= 0) {
+        if (compareVOffsets(ch.end, last.end) > 0) last.end = ch.end
+      } else {
+        a.push({ beg: ch.beg, end: ch.end })
+      }
+      return a
+    }, [])
+  }
+  // Returns a promise for the (decompressed) bytes contained in a chunk, as a Uint8Array.
+  // Args:
+  //   chunk (object) { beg, end } virtual offsets
+  //   opts (object) optional. { signal, priority } for the request (see RequestQueue)
+  readChunkBytes (chunk, opts) {
+    const endRel = chunk.end.c - chunk.beg.c
+    // The end offset points into the last block, whose length is unknown. Read enough to cover it.
+    return this.fetcher.fetchRange(this.url, chunk.beg.c, endRel + MAX_BLOCK_SIZE, opts).then(buf => {
+      const blocks = bgzfBlocks(buf).filter(b => b.offset < endRel || (b.offset === endRel && chunk.end.u > 0))
+      return inflateBlocks(buf, blocks).then(dblocks => {
+        const bytes = concatBytes(dblocks)
+        let stop = bytes.length
+        if (blocks.length && blocks[blocks.length - 1].offset === endRel) {
+          stop = stop - dblocks[dblocks.length - 1].length + chunk.end.u
+        }
+        return bytes.subarray(chunk.beg.u, stop)
+      })
+    })
+  }
+  // Returns a promise for the text contained in a chunk. Args as for readChunkBytes.
+  readChunk (chunk, opts) {
+    return this.readChunkBytes(chunk, opts).then(bytes => new TextDecoder().decode(bytes))
+  }
+  readAll () {
+    const ps = this.genome.chromosomes.map(c => this.readChromosome(c))
+    return Promise.all(ps).then(u.concatAll)
+  }
+  readChromosome (c) {
+    return this.readRange(c, 1, c.length)
+  }
+  // Returns a promise for the unparsed contents of the whole file, as a list of pieces (see readRangeBytes).
+  // Args:
+  //   opts - optional. { signal, priority } for the requests (see RequestQueue)
+  readAllBytes (opts) {
+    const ps = this.genome.chromosomes.map(c => this.readRangeBytes(c, 1, c.length, opts))
+    return Promise.all(ps).then(u.concatAll)
+  }
+  // Returns a promise for the unparsed data covering the specified range, for parsing elsewhere
+  // (eg, in a worker). The data are a list of pieces, each of the form { chr, ref, bytes }, where
+  // chr is the chromosome name, ref is the name the file uses for it, and bytes is a Uint8Array.
+  // Pieces may also contain records outside the range, or for other chromosomes.
+  // Args as for readRange.
+  readRangeBytes (c, s, e, opts) {
+    return this.readIndex().then(refs => {
+      const refName = this.getRefName(refs, c)
+      if (!refName) return []
+      const chunks = this.getChunks(refs[refName], Math.max(0, s - 1), e)
+      return Promise.all(chunks.map(ch => this.readChunkBytes(ch, opts))).then(bs => {
+        return bs.map(bytes => ({ chr: c.name, ref: refName, bytes }))
+      })
+    })
+  }
+  // Returns a promise for the header lines (those starting with '#') at the top of the file.
+  // Reads from the start of the file until the first data line.
+  readHeaderLines () {
+    const size = 4 * MAX_BLOCK_SIZE
+    const decoder = new TextDecoder()
+    const readFrom = (start, text) => {
+      return this.fetcher.fetchRange(this.url, start, size).then(buf => {
+        const blocks = bgzfBlocks(buf)
+        return inflateBlocks(buf, blocks).then(dblocks => {
+          text += decoder.decode(concatBytes(dblocks), { stream: true })
+          // done once a data line begins, or at the end of the file
+          const m = /(^|\n)[^#]/.exec(text)
+          if (m || blocks.length === 0 || buf.byteLength < size) {
+            return (m ? text.substring(0, m.index) : text).split('\n').filter(l => l.startsWith('#'))
+          }
+          const last = blocks[blocks.length - 1]
+          return readFrom(start + last.offset + last.size, text)
+        })
+      })
+    }
+    return readFrom(0, '')
+  }
+  // Returns a promise for the parsed header. The base class has none (resolves to null).
+  readHeader () {
+    return Promise.resolve(null)
+  }
+  // Returns a promise for the records that overlap the specified range (1-based, closed).
+  // Records are the same arrays the corresponding ChunkedFileReader produces. The chromosome
+  // column is set to c.name, whatever the file calls it.
+  // The index and header are shared by all reads, so opts (see readChunk) only applies to the data.
+  readRange (c, s, e, opts) {
+    return Promise.all([this.readIndex(), this.readHeader()]).then(([refs]) => {
+      const refName = this.getRefName(refs, c)
+      if (!refName) return []
+      const chunks = this.getChunks(refs[refName], Math.max(0, s - 1), e)
+      return Promise.all(chunks.map(ch => this.readChunk(ch, opts))).then(texts => {
+        return u.concatAll(texts.map(t => this.parse(t))).filter(r => {
+          if (this.getChr(r) !== refName) return false
+          r[0] = c.name
+          return this.getStart(r) <= e && this.getEnd(r) >= s
+        })
+      })
+    })
+  }
+}
+
+class TabixGff3FileReader extends TabixFileReader {
+  constructor (fetcher, name, genome, url, indexUrl) {
+    super('gff3', fetcher, name, genome, url, indexUrl)
+  }
+  parse (text) {
+    return gff.parseFile(text)
+  }
+  getID (rec) {
+    return rec[8]['ID']
+  }
+  getChr (rec) {
+    return rec[0]
+  }
+  getStart (rec) {
+    return rec[3]
+  }
+  getEnd (rec) {
+    return rec[4]
+  }
+}
+
+class TabixVcfFileReader extends TabixFileReader {
+  constructor (fetcher, name, genome, url, indexUrl) {
+    super('vcf', fetcher, name, genome, url, indexUrl)
+  }
+  // The header declares the types of INFO and FORMAT fields, and names the samples.
+  readHeader () {
+    if (!this.headerP) {
+      this.headerP = this.readHeaderLines().then(lines => {
+        this.header = vcf.parseHeader(lines)
+        return this.header
+      })
+    }
+    return this.headerP
+  }
+  parse (text) {
+    return vcf.parseFile(text, false, this.header || undefined)
+  }
+  getID (rec) {
+    return rec[2]
+  }
+  getChr (rec) {
+    return rec[0]
+  }
+  getStart (rec) {
+    return rec[1]
+  }
+  getEnd (rec) {
+    return rec[1] + rec[3].length - 1
+  }
+}
+
+export {
+  TabixGff3FileReader,
+  TabixVcfFileReader
+}
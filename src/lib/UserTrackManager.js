@@ -0,0 +1,220 @@
+import KeyStore from '@/lib/KeyStore'
+import config from '@/config'
+import u from '@/lib/utils'
+import gff from '@/lib/gff3lite'
+import vcf from '@/lib/vcflite'
+import bed from '@/lib/bedlite'
+
+// ---------------------------------------------------------------------
+// Manages tracks the user loads from local files (GFF3, VCF, or BED). Files are parsed
+// in the browser and attached to a genome. Tracks are saved in IndexedDB so they survive
+// page reloads; nothing is sent to a server.
+//
+// The tracks list (passed in by the app) holds each track's descriptor:
+//   { name, genome, format, fileName, color, count, created }
+// The features themselves are kept here (not in the reactive list), indexed by
+// track name and chromosome. Each feature looks like:
+//   { ID, label, type, chr, start, end, strand, exons, color }
+// with 1-based, closed coordinates.
+//
+class UserTrackManager {
+  constructor (app, tracks) {
+    this.app = app
+    this.trackStore = new KeyStore(config.UserTrackManager.dbName)
+    this.tracks = tracks
+    this.trackByName = {}
+    this.index = {} // track name -> chr name -> [features], sorted by start
+    this.app.$root.$on('user-track-delete', d => {
+      this.deleteTrack(d.name)
+    })
+    this.initFromStore()
+  }
+  uniqify (n) {
+    if (!this.trackByName[n]) return n
+    let count = 0
+    let nn = n
+    while (nn in this.trackByName) {
+      count += 1
+      nn = `${n} (${count})`
+    }
+    return nn
+  }
+  getTrack (name) {
+    return this.trackByName[name]
+  }
+  // Returns the format (gff3, vcf, or bed) of a file, based on its name or, failing that, its contents.
+  getFormat (fileName, text) {
+    const n = fileName.toLowerCase()
+    if (n.endsWith('.gff3') || n.endsWith('.gff')) return 'gff3'
+    if (n.endsWith('.vcf')) return 'vcf'
+    if (n.endsWith('.bed')) return 'bed'
+    if (text.startsWith('##gff-version')) return 'gff3'
+    if (text.startsWith('##fileformat=VCF')) return 'vcf'
+    return 'bed'
+  }
+  // Reads a local file (a File object, eg from a file picker or drag and drop), parses it,
+  // and adds it as a new track of genome g. Returns a promise for the new track.
+  addFile (file, g) {
+    if (!g || !g.name) return Promise.reject('No genome specified for track.')
+    return file.text().then(text => {
+      const format = this.getFormat(file.name, text)
+      const feats = this.parse(format, text)
+      if (feats.length === 0) u.fail(`No features found in ${file.name}`)
+      const track = {
+        name: this.uniqify(file.name),
+        genome: g.name,
+        format: format,
+        fileName: file.name,
+        color: u.randomColor(),
+        count: feats.length,
+        created: new Date()
+      }
+      this.addTrack(track, feats)
+      return this.trackStore.set(track.name, { track, features: feats }).then(() => {
+        this.app.$root.$emit('message', { message: `Added track ${track.name} (${feats.length} features) to ${g.name}` })
+        this.app.$root.$emit('user-tracks-changed')
+        return track
+      })
+    })
+  }
+  addTrack (track, feats) {
+    this.tracks.push(track)
+    this.trackByName[track.name] = track
+    this.index[track.name] = u.index(feats, 'chr', false)
+    for (const c in this.index[track.name]) {
+      this.index[track.name][c].sort((a, b) => a.start - b.start)
+    }
+  }
+  updateTrack (track, updates) {
+    Object.assign(track, updates)
+    this.trackStore.get(track.name).then(v => {
+      if (v) this.trackStore.set(track.name, { track: Object.assign({}, track), features: v.features })
+    })
+    this.app.$root.$emit('user-tracks-changed')
+  }
+  deleteTrack (name) {
+    const track = this.getTrack(name)
+    if (!track) return false
+    delete this.trackByName[name]
+    delete this.index[name]
+    this.tracks.splice(this.tracks.indexOf(track), 1)
+    this.trackStore.del(name)
+    this.app.$root.$emit('user-tracks-changed')
+    return true
+  }
+  // Parses the text of a file into a list of features.
+  parse (format, text) {
+    switch (format) {
+    case 'gff3':
+      return this.parseGff3(text)
+    case 'vcf':
+      return this.parseVcf(text)
+    case 'bed':
+      return this.parseBed(text)
+    default:
+      u.fail('Unknown format: ' + format)
+    }
+  }
+  // Top level GFF3 features (those without a Parent) become track features. Exons are
+  // gathered from their descendants.
+  // Malformed lines are skipped, with a message.
+  parseGff3 (text) {
+    const doc = gff.parse(text)
+    if (doc.errors.length) {
+      const e = doc.errors[0]
+      doc.errors.forEach(err => u.debug(`GFF3 line ${err.line}: ${err.message}`))
+      this.app.$root.$emit('message', { message: `Skipped ${doc.errors.length} malformed GFF3 line(s). First, line ${e.line}: ${e.message}` })
+    }
+    const graph = gff.buildGraph(doc.records)
+    return graph.roots.map((n, i) => {
+      const r = n.records[0]
+      const attrs = r[8] || {}
+      const exons = []
+      const visit = (m, seen) => {
+        if (seen.has(m)) return
+        seen.add(m)
+        m.records.forEach(mr => {
+          if (mr[2] === 'exon' && !exons.some(e => e.start === mr[3] && e.end === mr[4])) {
+            exons.push({ start: mr[3], end: mr[4] })
+          }
+        })
+        m.children.forEach(c => visit(c, seen))
+      }
+      visit(n, new Set())
+      exons.sort((a, b) => a.start - b.start)
+      return {
+        ID: n.ID || `${r[0]}:${r[3]}..${r[4]}:${i}`,
+        label: gff.getValues(attrs, 'Name')[0] || n.ID || r[2],
+        type: r[2],
+        chr: r[0],
+        start: Math.min.apply(null, n.records.map(x => x[3])),
+        end: Math.max.apply(null, n.records.map(x => x[4])),
+        strand: r[6],
+        exons: exons,
+        color: null
+      }
+    })
+  }
+  parseVcf (text) {
+    return vcf.parseFile(text).map(r => {
+      const id = r[2] && r[2] !== '.' ? r[2] : `${r[0]}:${r[1]}`
+      return {
+        ID: id,
+        label: id,
+        type: 'variant',
+        chr: r[0],
+        start: r[1],
+        end: r[1] + r[3].length - 1,
+        strand: null,
+        exons: [],
+        color: null
+      }
+    })
+  }
+  parseBed (text) {
+    return bed.parseFile(text).map((r, i) => {
+      const blocks = bed.getBlocks(r)
+      return {
+        ID: `${r[3] || 'bed'}.${i}`,
+        label: r[3] || '',
+        type: 'region',
+        chr: r[0],
+        start: r[1] + 1,
+        end: r[2],
+        strand: r[5] || null,
+        exons: blocks.length > 1 ? blocks : [],
+        color: bed.getColor(r)
+      }
+    })
+  }
+  // Returns the features of track t on chromosome c. Tolerates the "chr" prefix
+  // being present in the file but not the genome, or vice versa.
+  getChrFeatures (t, c) {
+    const ix = this.index[t.name] || {}
+    return ix[c.name] || ix['chr' + c.name] || ix[c.name.replace(/^chr/, '')] || []
+  }
+  // Returns a promise for the features of user tracks of genome g that overlap the specified range.
+  // Resolves to a list of { track, features }, one item per track of g.
+  getFeatures (g, c, s, e) {
+    const res = this.tracks.filter(t => t.genome === g.name).map(t => {
+      const features = this.getChrFeatures(t, c).filter(f => f.start <= e && f.end >= s)
+      return { track: t, features }
+    })
+    return Promise.resolve(res)
+  }
+  initFromStore () {
+    this.tracks.splice(0, this.tracks.length)
+    this.trackByName = {}
+    this.index = {}
+    return this.trackStore.keys().then(keys => {
+      return Promise.all((keys || []).map(k => this.trackStore.get(k))).then(vals => {
+        vals.filter(v => v).sort((a, b) => a.track.created - b.track.created).forEach(v => {
+          this.addTrack(v.track, v.features)
+        })
+        if (vals.length) this.app.$root.$emit('user-tracks-changed')
+      })
+    })
+  }
+}
+
+export default UserTrackManager
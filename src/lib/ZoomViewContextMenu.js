@@ -96,30 +96,34 @@ function getMenus(thisObj) {
         const t = cxt.transcript
         const all = whichGene === 'all'
         const allT = whichTxp === 'all'
-        const homologs = all ?
-          this.dataManager().getHomologs(f, this.context.strips.map(
-              s => s.genome)).filter(x => x)
-          : [f]
-        const seqs = u.flatten(homologs.map(ff => {
-          if (seqtype === 'dna') {
-            return this.dataManager().makeSequenceDescriptor(seqtype, ff)
-          } else if (seqtype === 'composite transcript') {
-            return this.dataManager().makeSequenceDescriptor('transcript', ff, ff.composite)
-          } else if (seqtype === 'transcript') {
-            const txps = allT ? ff.transcripts : [t]
-            return txps.map(tt => {
-              return this.dataManager().makeSequenceDescriptor(seqtype, ff, tt)
-            })
-          } else if (seqtype === 'cds') {
-            const cdss = allT ? ff.transcripts.filter(t => t.cds) : (t.cds ? [t] : [])
-            return cdss.map(tt => {
-              return this.dataManager().makeSequenceDescriptor(seqtype, ff, tt)
-            })
-          } else {
-            u.fail('Unknown sequence type: ' + seqtype)
-          }
-        }))
-        this.$root.$emit('sequence-selected', { sequences : seqs, unselectAll : true })
+        // load the homologs (in all displayed genomes) as needed
+        const homologsP = all ?
+          this.dataManager().ensureHomologs([f], this.context.strips.map(s => s.genome))
+          : Promise.resolve([f])
+        homologsP.then(homologs => {
+          const seqs = u.flatten(homologs.filter(x => x).map(ff => {
+            if (seqtype === 'dna') {
+              return this.dataManager().makeSequenceDescriptor(seqtype, ff)
+            } else if (seqtype === 'composite transcript') {
+              return this.dataManager().makeSequenceDescriptor('transcript', ff, ff.composite)
+            } else if (seqtype === 'transcript') {
+              const txps = allT ? ff.transcripts : [t]
+              return txps.map(tt => {
+                return this.dataManager().makeSequenceDescriptor(seqtype, ff, tt)
+              })
+            } else if (seqtype === 'cds') {
+              const cdss = allT ? ff.transcripts.filter(t => t.cds) : (t.cds ? [t] : [])
+              return cdss.map(tt => {
+                return this.dataManager().makeSequenceDescriptor(seqtype, ff, tt)
+              })
+            } else {
+              u.fail('Unknown sequence type: ' + seqtype)
+            }
+          }))
+          this.$root.$emit('sequence-selected', { sequences : seqs, unselectAll : true })
+        }).catch(err => {
+          this.$root.$emit('message', { message: `Could not get the homologs of ${f.symbol || f.ID}: ${err}` })
+        })
       }).bind(thisObj)
     }
   }
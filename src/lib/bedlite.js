@@ -0,0 +1,101 @@
+/*
+ * bedlite.js
+ *
+ * Utilities for working with BED files.
+ * See: https://genome.ucsc.edu/FAQ/FAQformat.html#format1
+ */
+
+const TAB = '\t'
+const WS = /\s+/
+const NL = '\n'
+const COMMA = ','
+
+// define constants for the column indices
+const chrom = 0
+const chromStart = 1
+const chromEnd = 2
+const name = 3
+const score = 4
+const strand = 5
+const thickStart = 6
+const thickEnd = 7
+const itemRgb = 8
+const blockCount = 9
+const blockSizes = 10
+const blockStarts = 11
+
+// Turns a parsed BED line into an object with named fields. Columns not present
+// in the line are undefined.
+// NOTE: coordinates are as in the file, ie, 0-based, half-open.
+function record2object (r) {
+  const o = {}
+  o.chrom = r[chrom]
+  o.chromStart = r[chromStart]
+  o.chromEnd = r[chromEnd]
+  o.name = r[name]
+  o.score = r[score]
+  o.strand = r[strand]
+  o.thickStart = r[thickStart]
+  o.thickEnd = r[thickEnd]
+  o.itemRgb = r[itemRgb]
+  o.blockCount = r[blockCount]
+  o.blockSizes = r[blockSizes]
+  o.blockStarts = r[blockStarts]
+  return o
+}
+// Parses a comma separated list of ints (blockSizes, blockStarts). Tolerates a trailing comma.
+function parseIntList (s) {
+  return s.split(COMMA).filter(x => x).map(x => parseInt(x))
+}
+// Parses one line of a BED file. Returns either a record (array) or an object, according to
+// the second parameter. Header lines (comments, "track" and "browser" lines) are returned as null.
+function parseLine (s, returnObjects) {
+  if (s === '' || s.startsWith('#') || s.startsWith('track') || s.startsWith('browser')) return null
+  // BED is officially whitespace separated, but tabs are needed if names contain spaces.
+  const fields = s.indexOf(TAB) === -1 ? s.trim().split(WS) : s.split(TAB)
+  const r = fields.map((v, i) => {
+    if (v === '.' && i !== strand)
+      return null
+    else if (i === chromStart || i === chromEnd || i === thickStart || i === thickEnd || i === blockCount)
+      return parseInt(v)
+    else if (i === score)
+      return parseFloat(v)
+    else if (i === blockSizes || i === blockStarts)
+      return parseIntList(v)
+    else
+      return v
+  })
+  if (r.length < 3 || isNaN(r[chromStart]) || isNaN(r[chromEnd])) {
+    throw `Bad BED line: ${s}`
+  }
+  if (r[strand] === '.') r[strand] = null
+  return returnObjects ? record2object(r) : r
+}
+// Parses the contents of a BED file
+function parseFile (s, returnObjects) {
+  return s.split(NL).map(l => parseLine(l.replace(/\r$/, ''), returnObjects)).filter(l => l)
+}
+// Returns the exons (blocks) of a parsed BED record as a list of { start, end } in
+// 1-based, closed coordinates. A record without blocks has a single exon.
+function getBlocks (r) {
+  const s = r[chromStart]
+  if (!r[blockCount]) return [{ start: s + 1, end: r[chromEnd] }]
+  return r[blockSizes].map((bsize, i) => {
+    const bstart = s + r[blockStarts][i]
+    return { start: bstart + 1, end: bstart + bsize }
+  })
+}
+// Returns the color (as a CSS rgb string) of a parsed BED record, or null.
+function getColor (r) {
+  const c = r[itemRgb]
+  if (!c || c === '0') return null
+  return `rgb(${c})`
+}
+
+export default {
+  parseFile,
+  parseLine,
+  record2object,
+  getBlocks,
+  getColor
+}
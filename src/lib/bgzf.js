@@ -0,0 +1,61 @@
+import u from '@/lib/utils'
+
+// ---------------------------------------------------------------------
+// Utilities for BGZF, the blocked gzip format used by bgzip, tabix, and samtools faidx.
+// A BGZF file is a series of gzip members (blocks), each holding at most 64kb of data,
+// so that parts of a file can be read and decompressed without reading all of it.
+// See: the SAM/BAM spec, section 4.1.
+//
+const MAX_BLOCK_SIZE = 65536 // max size of a (compressed) BGZF block
+
+// Splits a buffer of BGZF data into its (complete) blocks. Returns a list of { offset, size }.
+// A truncated block at the end of the buffer is ignored.
+function bgzfBlocks (buf) {
+  const dv = new DataView(buf)
+  const blocks = []
+  let pos = 0
+  while (pos + 18 <= buf.byteLength) {
+    if (dv.getUint8(pos) !== 31 || dv.getUint8(pos + 1) !== 139) u.fail(`Bad BGZF block at ${pos}`)
+    const xlen = dv.getUint16(pos + 10, true)
+    // find the BC subfield, which has the block size
+    let size = 0
+    for (let x = pos + 12; x < pos + 12 + xlen; x += 4 + dv.getUint16(x + 2, true)) {
+      if (dv.getUint8(x) === 66 && dv.getUint8(x + 1) === 67) {
+        size = dv.getUint16(x + 4, true) + 1
+        break
+      }
+    }
+    if (size === 0) u.fail(`Not a BGZF block at ${pos}`)
+    if (pos + size > buf.byteLength) break
+    blocks.push({ offset: pos, size })
+    pos += size
+  }
+  return blocks
+}
+
+// Decompresses the given BGZF blocks from buf. Each block is a complete gzip member, and
+// is decompressed separately. Returns a promise for the list of decompressed blocks (Uint8Arrays).
+function inflateBlocks (buf, blocks) {
+  return Promise.all(blocks.map(b => {
+    return u.inflate(buf.slice(b.offset, b.offset + b.size), 'gzip').then(d => new Uint8Array(d))
+  }))
+}
+
+// Concatenates a list of Uint8Arrays.
+function concatBytes (arrays) {
+  const len = arrays.reduce((a, x) => a + x.length, 0)
+  const res = new Uint8Array(len)
+  let pos = 0
+  arrays.forEach(x => {
+    res.set(x, pos)
+    pos += x.length
+  })
+  return res
+}
+
+export {
+  MAX_BLOCK_SIZE,
+  bgzfBlocks,
+  inflateBlocks,
+  concatBytes
+}
@@ -0,0 +1,194 @@
+/*
+ * features.worker.js
+ *
+ * Web Worker that turns unparsed GFF3 data into feature objects, so that the work doesn't
+ * freeze the display. See FeatureWorker for the main thread side.
+ *
+ * Messages in:
+ *    { id, job, args } - runs a job (see jobs, below). Input data arrive as transferred ArrayBuffers.
+ * Messages out:
+ *    { id, progress: { done, total } } - sent as a job proceeds
+ *    { id, result } - the result, a plain object (structured cloned, so no decoding is needed)
+ *    { id, error } - the job failed. error is a string.
+ *
+ * Features are built complete, ready to register, except for references to main thread
+ * objects (genome, chromosome), which the receiver attaches.
+ */
+import gff3 from '@/lib/gff3lite'
+
+// Parses the pieces of a file (see ChunkedFileReader.readRangeBytes). Returns a mapping from
+// chromosome name to the list of records for that chromosome. Records are deduplicated by ID.
+// Calls progress(done, total) after each piece.
+function parsePieces (pieces, progress) {
+  const decoder = new TextDecoder()
+  const byChr = {}
+  const seen = {}
+  pieces.forEach((p, i) => {
+    gff3.parseFile(decoder.decode(p.bytes)).forEach(r => {
+      if (p.ref !== null && r[0] !== p.ref) return
+      const chr = p.chr === null ? r[0] : p.chr
+      const id = r[8]['ID']
+      const s = seen[chr] = seen[chr] || new Set()
+      if (id) {
+        if (s.has(id)) return
+        s.add(id)
+      }
+      r[0] = chr
+      const recs = byChr[chr] = byChr[chr] || []
+      recs.push(r)
+    })
+    progress(i + 1, pieces.length)
+  })
+  return byChr
+}
+
+// Utility function for stripping the prefix from a curie style identifier
+function stripPrefix (s) {
+  return s.substr(s.indexOf(':') + 1)
+}
+
+// Returns the synonyms of feature f, lower cased: its GFF3 Alias values, and its Name if that differs
+// from its symbol.
+function getSynonyms (f) {
+  const syns = new Set([].concat(f.Alias || []).map(a => a.toLowerCase()))
+  if (f.Name) syns.add(f.Name.toLowerCase())
+  if (f.symbol) syns.delete(f.symbol.toLowerCase())
+  return Array.from(syns)
+}
+
+// ---------------------------------------------------------------------
+// Builds a feature object from a parsed GFF3 record. Returns null if the feature is
+// longer than featureSizeLimit.
+function makeFeature (r, featureSizeLimit) {
+  const f = gff3.record2object(r)
+  f.sotype = f.type
+  f.length = f.end - f.start + 1
+  if (f.length > featureSizeLimit) return null
+  if (!f.cID) f.cID = null // make sure it's not undefined
+  f.symbol = f.symbol || f.Name || f.gene_id
+  // For convenience...
+  f.id = f.cID || f.ID
+  f.label = f.symbol || f.id
+  // for the synonym index (see DataManager)
+  f.synonyms = getSynonyms(f)
+  // filled in on the main thread, as needed
+  f.transcripts = []
+  f.composite = {}
+  f.layout = { lane: 0, y: 0, height: 0 }
+  return f
+}
+
+// ---------------------------------------------------------------------
+// Exons of a transcript are encoded as a string such as "0_110,2100_344,..."
+// where for each N_M item, N is the offset of the exon from the start of the transcript
+// and M is the exon's length.
+// Here we parse the string and produce a list of exons each with full start and end coordinates.
+function unpackExons (t) {
+  const exonsAttr = t[8]['exons']
+  if (!exonsAttr) {
+    return [{start: t[3], end: t[4]}]
+  }
+  const ecoords = exonsAttr.split(',').map(s => s.split('_').map(s => parseInt(s)))
+  return ecoords.map(ec => { return { start: t[3] + ec[0], end: t[3] + ec[0] + ec[1] - 1 } })
+}
+// CDSs of a transcript are encoded as "ID|start|end", where ID is the CDSs ID and start and end are
+// the positions of the start and stop codons. (Reminder: Coordinates are always forward strand. To know
+// which is the start codon and which is the stop codon, you have to look at the strand of the gene.)
+function unpackCds (cdsAttr, tlen, exons, strand) {
+  if (!cdsAttr) return null
+  const parts = cdsAttr.split('|')
+  const c = {
+    ID: parts[0],
+    protein_id: parts[1],
+    label: stripPrefix(parts[1] || parts[0]),
+    start: parseInt(parts[2]),
+    end: parseInt(parts[3])
+  }
+  // compute the length of the CDS by adding up the included exons (taking care not to
+  // include UTRs)
+  const PUTR = strand === "+" ? '5_prime_utr' : '3_prime_utr'
+  const DUTR = strand === "+" ? '3_prime_utr' : '5_prime_utr'
+  const CDS = 'cds'
+  c.pieces = exons.reduce((a,r) => {
+    // make a copy so we don't munge the exon object
+    const x = { start: r.start, end: r.end }
+    if (x.end < c.start) {
+        a.push({ start: x.start, end: x.end, type: PUTR })
+    }
+    else if (x.start > c.end) {
+        a.push({ start: x.start, end: x.end, type: DUTR })
+    } else {
+        const pUTR = { start: x.start, end: Math.min(c.start - 1, x.end), type: PUTR }
+        if (pUTR.start <= pUTR.end) a.push(pUTR)
+        const cds = { start: Math.max(c.start, x.start), end: Math.min(c.end, x.end), type: CDS }
+        a.push(cds)
+        const dUTR = { start: Math.max(c.end + 1, x.start), end: x.end, type: DUTR }
+        if (dUTR.start <= dUTR.end) a.push(dUTR)
+    }
+    return a
+  }, [])
+  c.length = c.pieces.reduce((a,x) => a + (x.type==='cds' ? x.end - x.start + 1 : 0), 0)
+  return c
+}
+// Builds a transcript object from a parsed GFF3 record.
+function makeTranscript (t) {
+  const exons = unpackExons(t)
+  const tlen = exons.reduce((l,x) => l + x.end - x.start + 1, 0)
+  const cds = unpackCds(t[8]['cds'], tlen, exons, t[6])
+  const attrs = t[8]
+  return {
+    gID: gff3.getValues(attrs, 'Parent')[0],
+    ID: attrs['ID'],
+    label: stripPrefix(attrs['Name'] || attrs['transcript_id'] || attrs['ID']),
+    transcript_id: attrs['transcript_id'],
+    exons: exons,
+    start: Math.min.apply(null,exons.map(e => e.start)),
+    end: Math.max.apply(null,exons.map(e => e.end)),
+    strand: t[6],
+    length: tlen,
+    cds: cds
+  }
+}
+
+// ---------------------------------------------------------------------
+const jobs = {
+  // Builds the features of (part of) a genome.
+  // Args:
+  //   genome { name, chromosomes: [{ name }] }
+  //   pieces - genes data, as from readRangeBytes or readAllBytes
+  //   featureSizeLimit - longer features are dropped
+  // Returns { features } where features maps chromosome name to the list of features, sorted by start.
+  genes (args, progress) {
+    const byChr = parsePieces(args.pieces, progress)
+    const names = new Set(args.genome.chromosomes.map(c => c.name))
+    const features = {}
+    Object.keys(byChr).forEach(cn => {
+      if (!names.has(cn)) throw `Could not find chromosome ${cn}`
+      features[cn] = byChr[cn].map(r => makeFeature(r, args.featureSizeLimit)).filter(x => x).sort((a,b) => a.start - b.start)
+    })
+    return { features }
+  },
+  // Builds the transcripts in a range.
+  // Args:
+  //   pieces - the transcripts data covering the range, as from readRangeBytes
+  //   start, end - the range
+  // Returns the list of transcripts that overlap the range, sorted by label.
+  models (args, progress) {
+    const byChr = parsePieces(args.pieces, progress)
+    const recs = Object.keys(byChr).reduce((a, cn) => a.concat(byChr[cn]), [])
+    return recs.filter(r => r[3] <= args.end && r[4] >= args.start).map(makeTranscript).sort((a,b) => {
+      return a.label < b.label ? -1 : a.label > b.label ? 1 : 0
+    })
+  }
+}
+
+// ---------------------------------------------------------------------
+self.onmessage = function (e) {
+  const msg = e.data
+  try {
+    const progress = (done, total) => self.postMessage({ id: msg.id, progress: { done, total } })
+    self.postMessage({ id: msg.id, result: jobs[msg.job](msg.args, progress) })
+  } catch (err) {
+    self.postMessage({ id: msg.id, error: err.toString() })
+  }
+}
@@ -115,11 +115,12 @@ function translate (rna) {
   const residues = codons.map(c => aaShort2Letter[genetic_code[c]]).join('')
   return residues
 }
+// Bases not in the table (eg, IUPAC ambiguity codes) are passed through unchanged.
 function complement (dna) {
-  return dna.split('').map(b => base_complement[b]).join('')
+  return dna.split('').map(b => base_complement[b] || b).join('')
 }
 function reverseComplement (dna) {
-  return dna.split('').reverse().map(b => base_complement[b]).join('')
+  return dna.split('').reverse().map(b => base_complement[b] || b).join('')
 }
 //
 export {
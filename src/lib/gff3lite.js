@@ -2,14 +2,20 @@
  * gff3lite.js
  *
  * Utilities for working with GFF3.
+ * See: https://github.com/The-Sequence-Ontology/Specifications/blob/master/gff3.md
  */
 
 const TAB = '\t'
-const NL = '\n'
+const NL = /\r?\n/
 const HASH = '#'
 const SEMI = ';'
 const EQ = '='
-
+const COMMA = ','
+const FASTA_DIRECTIVE = '##FASTA'
+const RESOLVE_DIRECTIVE = '###'
+// The attributes the spec defines as (possibly) multi-valued. Commas in other attributes' values are
+// just part of the value.
+const MULTI_VALUED = new Set(['Parent', 'Alias', 'Dbxref', 'Ontology_term', 'Note'])
 
 // define constants for the column indices
 const seqid = 0
@@ -39,39 +45,211 @@ function record2object (r) {
   Object.assign(o, r[attributes])
   return o
 }
-// Parses column 9 into an object with attributes.
-// FIXME: does not deal with multivalues attributes. Each value is just a string.
+// Decodes percent-escaped characters. Strings without a '%' are returned as is (fast path).
+function unescape (s) {
+  return s.indexOf('%') === -1 ? s : decodeURIComponent(s)
+}
+// Parses column 9 into an object with attributes. Each tag=value pair is split at the first '='.
+// Values of the multi-valued attributes (Parent, Alias, Dbxref, Ontology_term, Note) that contain
+// (unescaped) commas are returned as arrays of (unescaped) strings; all other values are strings.
+// Escaped commas (%2C) never split values.
 function parseAttributes (s) {
   const attrs = {}
   s.split(SEMI).forEach(x => {
-    let pts = x.split(EQ)
-    attrs[pts[0]] = decodeURIComponent(pts[1])
+    x = x.trim()
+    if (!x) return
+    const i = x.indexOf(EQ)
+    if (i === -1) throw `Attribute has no value: "${x}"`
+    const tag = unescape(x.substr(0, i))
+    const val = x.substr(i + 1)
+    const multi = MULTI_VALUED.has(tag) && val.indexOf(COMMA) !== -1
+    attrs[tag] = multi ? val.split(COMMA).map(unescape) : unescape(val)
   })
   return attrs
 }
+// Returns the value(s) of attribute a as a list. Useful for attributes that may
+// be multi-valued, such as Parent, Alias, and Dbxref.
+function getValues (attrs, a) {
+  const v = attrs ? attrs[a] : undefined
+  return v === undefined || v === null ? [] : [].concat(v)
+}
 // Parses one line of a GFF3 file. Returns either a record (array)
 // or an object, according to the second parameter.
+// Comments and directives (lines starting with '#') are returned as is.
+// Throws an error for malformed lines.
 function parseLine (s, returnObjects) {
   if (s.startsWith(HASH)) return s
-  const r = s.split(TAB).map((v,i) => {
+  const cols = s.split(TAB)
+  if (cols.length !== 9) throw `Expected 9 columns, found ${cols.length}`
+  const r = cols.map((v,i) => {
     if (v === '.')
       return null
-    else if (i === start || i === end || i === phase)
-      return parseInt(v)
+    else if (i === start || i === end || i === phase) {
+      const n = parseInt(v)
+      if (isNaN(n)) throw `Bad value in column ${i+1}: "${v}"`
+      return n
+    }
     else if (i === attributes)
       return parseAttributes(v)
     else
-      return v
+      return unescape(v)
   })
+  if (r[start] > r[end]) throw `Start (${r[start]}) is greater than end (${r[end]})`
   return returnObjects ? record2object(r) : r
 }
-// Parses the contents of a GFF3 file
+// Parses a directive line (starts with '##') into { name, args }
+function parseDirective (s) {
+  const parts = s.substr(2).trim().split(/\s+/)
+  return { name: parts[0], args: parts.slice(1) }
+}
+// Parses the contents of a GFF3 file. Returns an object containing:
+//   records - the feature lines, parsed as by parseLine
+//   lines - the line number (1-based) of each record
+//   directives - list of { name, args, line }
+//   sequenceRegions - seqid -> { start, end } from ##sequence-region directives
+//   fasta - sequence id -> sequence, from the ##FASTA section (if any)
+//   errors - list of { line, message } for the malformed lines, which are skipped
+function parse (s, returnObjects) {
+  const doc = {
+    records: [],
+    lines: [],
+    directives: [],
+    sequenceRegions: {},
+    fasta: {},
+    errors: []
+  }
+  const lines = s.split(NL)
+  let i
+  for (i = 0; i < lines.length; i++) {
+    const l = lines[i]
+    const lno = i + 1
+    if (!l.trim()) continue
+    if (l.startsWith(FASTA_DIRECTIVE) || l.startsWith('>')) break
+    try {
+      if (l.startsWith(RESOLVE_DIRECTIVE)) {
+        doc.directives.push({ name: RESOLVE_DIRECTIVE, args: [], line: lno })
+      } else if (l.startsWith('##')) {
+        const d = parseDirective(l)
+        d.line = lno
+        doc.directives.push(d)
+        if (d.name === 'sequence-region') {
+          doc.sequenceRegions[unescape(d.args[0])] = { start: parseInt(d.args[1]), end: parseInt(d.args[2]) }
+        }
+      } else if (!l.startsWith(HASH)) {
+        doc.records.push(parseLine(l, returnObjects))
+        doc.lines.push(lno)
+      }
+    } catch (e) {
+      doc.errors.push({ line: lno, message: String(e) })
+    }
+  }
+  // FASTA section
+  let id = null
+  let seq = []
+  for (; i < lines.length; i++) {
+    const l = lines[i].trim()
+    if (l.startsWith(FASTA_DIRECTIVE) || !l) continue
+    if (l.startsWith('>')) {
+      if (id) doc.fasta[id] = seq.join('')
+      id = l.substr(1).split(/\s+/)[0]
+      seq = []
+    } else if (id) {
+      seq.push(l)
+    } else {
+      doc.errors.push({ line: i + 1, message: 'Sequence data before FASTA header' })
+    }
+  }
+  if (id) doc.fasta[id] = seq.join('')
+  return doc
+}
+// Parses the contents of a GFF3 file. Returns the list of records (ie, feature lines),
+// parsed as by parseLine. Comments, directives, any FASTA section, and malformed lines are skipped.
+// (Use parse to find out about the malformed ones.)
 function parseFile (s, returnObjects) {
-  return s.split(NL).filter(l => l).map(l => parseLine(l, returnObjects))
+  return parse(s, returnObjects).records
+}
+// Builds the parent/child graph of the features in a list of parsed records (arrays, as
+// returned by parseLine). Lines with the same ID are parts of a single (multi-line) feature.
+// Returns an object containing:
+//   nodes - list of nodes, in order of first appearance. Each node is:
+//       { ID, records, parents, children }
+//     where records is the list of lines making up the feature, and parents and children are lists of nodes.
+//   roots - the nodes that have no parents
+//   id2node - mapping from ID to node
+//   missing - list of { node, parent } for Parent references to IDs that do not exist. These nodes
+//     are treated as roots.
+function buildGraph (records) {
+  const g = { nodes: [], roots: [], id2node: {}, missing: [] }
+  records.forEach(r => {
+    const id = r[attributes] ? r[attributes].ID : undefined
+    let n = id !== undefined ? g.id2node[id] : null
+    if (!n) {
+      n = { ID: id, records: [], parents: [], children: [] }
+      g.nodes.push(n)
+      if (id !== undefined) g.id2node[id] = n
+    }
+    n.records.push(r)
+  })
+  g.nodes.forEach(n => {
+    const pids = new Set(n.records.reduce((a, r) => a.concat(getValues(r[attributes], 'Parent')), []))
+    pids.forEach(pid => {
+      const p = g.id2node[pid]
+      if (p) {
+        n.parents.push(p)
+        p.children.push(n)
+      } else {
+        g.missing.push({ node: n, parent: pid })
+      }
+    })
+    if (n.parents.length === 0) g.roots.push(n)
+  })
+  return g
+}
+// Percent-escapes the characters that have special meaning in a GFF3 column.
+// In column 9, the attribute delimiters (;=,&) are also escaped.
+function escape (s, isAttribute) {
+  s = String(s).replace(/%/g, '%25').replace(/\t/g, '%09').replace(/\n/g, '%0A').replace(/\r/g, '%0D')
+  if (isAttribute) {
+    s = s.replace(/;/g, '%3B').replace(/=/g, '%3D').replace(/,/g, '%2C').replace(/&/g, '%26')
+  }
+  return s
+}
+// Formats an attributes object as column 9. Array values are written as multiple (comma separated)
+// values. Attributes whose values are null or undefined are omitted.
+function formatAttributes (attrs) {
+  const parts = Object.keys(attrs || {}).filter(k => attrs[k] !== null && attrs[k] !== undefined).map(k => {
+    const vals = [].concat(attrs[k]).map(v => escape(v, true))
+    return `${escape(k, true)}=${vals.join(COMMA)}`
+  })
+  return parts.length ? parts.join(SEMI) : '.'
+}
+// Formats a record (array, as returned by parseLine) as one line of GFF3 (without the newline).
+// Nulls are written as '.'.
+function formatLine (r) {
+  return r.map((v, i) => {
+    if (i === attributes) return formatAttributes(v)
+    if (v === null || v === undefined) return '.'
+    if (i === seqid) return escape(v).replace(/ /g, '%20')
+    return escape(v)
+  }).join(TAB)
+}
+// Formats a list of records as the contents of a GFF3 file. Any directives (list of strings,
+// without the leading '##') are written in the header.
+function formatFile (records, directives) {
+  const header = ['##gff-version 3'].concat((directives || []).map(d => '##' + d))
+  return header.concat(records.map(formatLine)).join('\n') + '\n'
 }
 export default {
+  parse,
   parseFile,
   parseLine,
   parseAttributes,
-  record2object
+  parseDirective,
+  record2object,
+  getValues,
+  buildGraph,
+  escape,
+  formatAttributes,
+  formatLine,
+  formatFile
 }
@@ -1,6 +1,7 @@
 import Vue from 'vue'
 import gff from '@/lib/gff3lite'
 import vcf from '@/lib/vcflite'
+import { requestQueue } from '@/lib/RequestQueue'
 
 //
 function debug () {
@@ -205,14 +206,41 @@ function deepCopy (obj) {
   return JSON.parse(JSON.stringify(obj))
 }
 
+// ---------------------------------------------
+// Parses the body of a fetch Response, or of a Blob (eg, a File), according to type.
+// Returns a promise for the parsed content.
+// Args:
+//  body: the Response or Blob
+//  type: one of text, json, gff3, vcf, tsv, arraybuffer
+function parseBody (body, type) {
+  switch (type || 'text') {
+  case 'text':
+    return body.text()
+  case 'json':
+    return body.text().then(t => JSON.parse(t))
+  case 'gff3':
+    return body.text().then(t => gff.parseFile(t))
+  case 'vcf':
+    return body.text().then(t => vcf.parseFile(t))
+  case 'tsv':
+    return body.text().then(t => t.split(/\n/).map(l => l.trim().split()))
+  case 'arraybuffer':
+    return body.arrayBuffer()
+  default:
+    return Promise.reject('Unknown type: ' + type)
+  }
+}
 // ---------------------------------------------
 // A higher-level fetch that parses responses.
+// Requests are scheduled by the request queue (see RequestQueue), and concurrent
+// requests for the same url and type share one network request.
 // Args:
 //  url: URL to fetch from or post to (if postData is provided)
-//  type: expected type of the response (text, json, or gff3)
+//  type: expected type of the response (see parseBody)
 //  postData: if provided, a URL-encoded string, eg, "name=Joel&age=60"
-function fetch (url, type, postData) {
-  const types = ['text', 'json', 'gff3','tsv','vcf']
+//  opts: optional. { signal, priority } The AbortSignal cancels the request. See RequestQueue.
+function fetch (url, type, postData, opts) {
+  const types = ['text', 'json', 'gff3', 'tsv', 'vcf', 'arraybuffer']
   if (!type) type = 'text'
   if (types.indexOf(type) === -1) return Promise.reject('Unknown type: ' + type)
   //
@@ -224,13 +252,9 @@ function fetch (url, type, postData) {
     }
   }
   //
-  function parseTsv (s) {
-    return s.split(/\n/).map(l => l.trim().split())
-  }
-  //
-  let opts = undefined
+  let fopts = {}
   if (postData) {
-    opts = {
+    fopts = {
       method: 'POST',
       headers: {
         'Content-type': 'application/x-www-form-urlencoded; charset=UTF-8'
@@ -238,22 +262,50 @@ function fetch (url, type, postData) {
       body: postData
     }
   }
-  return  self.fetch(url, opts).then(status).then(r => {
-    switch (type) {
-    case 'text':
-      return r.text()
-    case 'json':
-      return r.json()
-    case 'gff3':
-      return r.text().then(t => gff.parseFile(t))
-    case 'vcf':
-      return r.text().then(t => vcf.parseFile(t))
-    case 'tsv':
-      return r.text().then(t => parseTsv(t))
-    default:
-      fail('Unknown type: ' + type)
+  // posts are not shared
+  const key = postData ? null : `${type}::${url}`
+  return requestQueue.add(key, signal => {
+    return self.fetch(url, Object.assign({ signal }, fopts)).then(status).then(r => parseBody(r, type))
+  }, opts)
+}
+// ---------------------------------------------
+// Fetches a range of bytes from a URL using an HTTP Range request.
+// Returns a promise for an ArrayBuffer.
+// Args:
+//  url: URL to fetch from
+//  start: offset of the first byte (0-based)
+//  length: number of bytes to fetch
+//  opts: optional. { signal, priority } (see fetch)
+function fetchRange (url, start, length, opts) {
+  const key = `range::${url}::${start}:${length}`
+  return requestQueue.add(key, signal => {
+    const fopts = {
+      signal,
+      headers: {
+        'Range': `bytes=${start}-${start + length - 1}`
+      }
     }
-  })
+    return self.fetch(url, fopts).then(r => {
+      if (r.status === 206) {
+        return r.arrayBuffer()
+      } else if (r.status === 200) {
+        // server ignored the Range header and sent the whole thing
+        return r.arrayBuffer().then(buf => buf.slice(start, start + length))
+      } else {
+        return Promise.reject(r.status + ': ' + r.statusText)
+      }
+    })
+  }, opts)
+}
+// ---------------------------------------------
+// Decompresses the given ArrayBuffer. Returns a promise for the decompressed ArrayBuffer.
+// Args:
+//  buf: the compressed data
+//  format: one of 'deflate' (zlib wrapped, the default), 'deflate-raw', or 'gzip'
+function inflate (buf, format) {
+  const ds = new self.DecompressionStream(format || 'deflate')
+  const stream = new Blob([buf]).stream().pipeThrough(ds)
+  return new Response(stream).arrayBuffer()
 }
 // ---------------------------------------------
 function concatAll (listOfLists) {
@@ -445,6 +497,23 @@ const cols2rows = function (valueArrays, names) {
     return res
 }
 // ---------------------------------------------
+// Triggers a download of the given text as a file.
+// Args:
+//  text: the file contents
+//  fname: the file name
+//  mimeType: optional. Default: text/plain
+function downloadText (text, fname, mimeType) {
+  const blob = new Blob([text], { type: (mimeType || 'text/plain') + ';charset=utf-8' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = fname
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(url)
+}
+// ---------------------------------------------
 export default {
   afterTicks,
   assert,
@@ -452,15 +521,19 @@ export default {
   concatAll,
   debug,
   deepCopy,
+  downloadText,
   dragify,
   eachTick,
   fail,
   fetch,
+  fetchRange,
   flatten,
   getBBoxes,
   index,
+  inflate,
   mergeArrays,
   niceBounds,
+  parseBody,
   prettyPrintBases,
   randomColor,
   removeDups,
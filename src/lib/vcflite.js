@@ -1,9 +1,24 @@
+/*
+ * vcflite.js
+ *
+ * Utilities for working with VCF (4.x).
+ * See: https://samtools.github.io/hts-specs/VCFv4.3.pdf
+ *
+ * Parsed records are arrays, with one item per column:
+ *    [chrom, pos, id, ref, alt, qual, filter, info, format, sample1, sample2, ...]
+ * where pos is an int, alt is a list of alleles, qual is a number (or null), info is an object,
+ * format is a list of keys, and each sample is an object keyed by the FORMAT keys. Files without
+ * FORMAT/sample columns produce records with 8 items.
+ * If a header is provided, INFO and FORMAT values are typed according to the declared Number and Type.
+ * Otherwise, values are strings.
+ */
 const TAB = '\t'
-const NL = '\n'
+const NL = /\r?\n/
 const HASH = '#'
 const SEMI = ';'
 const EQ = '='
-// const COMMA = ","
+const COMMA = ','
+const COLON = ':'
 
 const chrom  = 0
 const pos    = 1
@@ -13,9 +28,185 @@ const alt    = 4
 const qual   = 5
 const filter = 6
 const info   = 7
+const format = 8
+const firstSample = 9
 
-//
-function record2object (r) {
+// Returns an empty header. Used when parsing records without one.
+function emptyHeader () {
+  return { fileformat: null, info: {}, format: {}, filter: {}, contig: {}, meta: [], samples: [] }
+}
+
+// Parses the contents of a structured meta line, eg the part between the <> in:
+//    ##INFO=<ID=DP,Number=1,Type=Integer,Description="Total Depth">
+// Returns an object, eg { ID: 'DP', Number: '1', Type: 'Integer', Description: 'Total Depth' }
+function parseMetaFields (s) {
+  const o = {}
+  const re = /([A-Za-z_][A-Za-z0-9_.]*)=("(?:[^"\\]|\\.)*"|[^,]*)/g
+  let m
+  while ((m = re.exec(s)) !== null) {
+    let v = m[2]
+    if (v.startsWith('"')) v = v.slice(1, -1).replace(/\\(.)/g, '$1')
+    o[m[1]] = v
+  }
+  return o
+}
+
+// Parses the header lines (all lines starting with '#') of a VCF file. Returns an object containing:
+//    fileformat - eg, "VCFv4.2"
+//    info, format, filter, contig - mappings from ID to the fields of the corresponding meta lines
+//    meta - list of { key, value } for all other meta lines
+//    samples - list of sample names (from the #CHROM line)
+function parseHeader (lines) {
+  const h = emptyHeader()
+  lines.forEach(l => {
+    if (l.startsWith('##')) {
+      const i = l.indexOf(EQ)
+      if (i === -1) return
+      const key = l.substring(2, i)
+      const val = l.substring(i + 1)
+      if (key === 'fileformat') {
+        h.fileformat = val
+      } else if (val.startsWith('<') && (key === 'INFO' || key === 'FORMAT' || key === 'FILTER' || key === 'contig')) {
+        const fields = parseMetaFields(val.slice(1, -1))
+        const which = key === 'contig' ? h.contig : h[key.toLowerCase()]
+        which[fields.ID] = fields
+      } else {
+        h.meta.push({ key: key, value: val })
+      }
+    } else if (l.startsWith(HASH)) {
+      h.samples = l.split(TAB).slice(firstSample)
+    }
+  })
+  return h
+}
+
+// Decodes percent-encoded characters (VCF 4.3).
+function unescape (s) {
+  if (s.indexOf('%') === -1) return s
+  try {
+    return decodeURIComponent(s)
+  } catch (e) {
+    return s
+  }
+}
+
+// Converts one (string) value according to a declared Type.
+function typeValue (v, type) {
+  if (v === '.' || v === '') return null
+  switch (type) {
+  case 'Integer':
+    return parseInt(v)
+  case 'Float':
+    return parseFloat(v)
+  case 'String':
+    return unescape(v)
+  default:
+    return v
+  }
+}
+
+// Converts a (string) value according to its declaration (the fields of an INFO or FORMAT meta line).
+// Values that can have more than one item (Number other than 0 or 1) are returned as lists.
+// Undeclared values are returned as strings, with any enclosing quotes removed.
+function typeField (v, decl) {
+  if (!decl) {
+    return v.length > 1 && v.startsWith('"') && v.endsWith('"') ? v.slice(1, -1) : v
+  }
+  if (decl.Type === 'Flag') return true
+  if (decl.Number === '1') return typeValue(v, decl.Type)
+  return v.split(COMMA).map(x => typeValue(x, decl.Type))
+}
+
+// Parses the value in the INFO column into an object. If a header is given, values are
+// typed according to the header's INFO declarations. Keys without values are flags (true).
+function parseAttributes (s, header) {
+  const decls = header ? header.info : {}
+  if (s === '.' || s === '') return {}
+  return s.split(SEMI).reduce((a,v) => {
+    const i = v.indexOf(EQ)
+    if (i === -1) {
+      a[v] = true
+    } else {
+      const n = v.substr(0,i)
+      a[n] = typeField(v.substr(i+1), decls[n])
+    }
+    return a
+  }, {})
+}
+
+// Parses a GT value (eg "0/1", "1|1", "./.") into { alleles, phased }, where alleles is a list
+// of allele indices (0 = ref, 1 = first alt, ...), with null for missing calls.
+function parseGenotype (gt) {
+  if (gt === null || gt === undefined) return { alleles: [], phased: false }
+  const phased = gt.indexOf('|') !== -1
+  const alleles = gt.split(/[/|]/).map(a => a === '.' ? null : parseInt(a))
+  return { alleles, phased }
+}
+
+// Returns the class of a parsed sample's genotype: one of 'hom ref', 'het', 'hom alt', or 'no call'.
+function genotypeClass (sample) {
+  const gt = sample && sample.GT ? parseGenotype(sample.GT) : null
+  if (!gt || gt.alleles.length === 0 || gt.alleles.some(a => a === null)) return 'no call'
+  if (gt.alleles.every(a => a === 0)) return 'hom ref'
+  if (gt.alleles.every(a => a === gt.alleles[0])) return 'hom alt'
+  return 'het'
+}
+
+// Returns a key that is the same for samples with the same (unordered) genotype, eg "0/1" and "1|0"
+// both give "0,1". Returns null for missing or partial calls.
+function genotypeKey (sample) {
+  const gt = sample && sample.GT ? parseGenotype(sample.GT) : null
+  if (!gt || gt.alleles.length === 0 || gt.alleles.some(a => a === null)) return null
+  return gt.alleles.slice().sort((a, b) => a - b).join(COMMA)
+}
+
+// Parses a sample column, according to the FORMAT keys. Trailing fields may be dropped (per the spec).
+function parseSample (s, keys, header) {
+  const decls = header ? header.format : {}
+  const vals = s.split(COLON)
+  return keys.reduce((a, k, i) => {
+    const v = vals[i]
+    if (k === 'GT') {
+      a[k] = v === undefined ? null : v
+    } else {
+      a[k] = v === undefined || v === '.' ? null : typeField(v, decls[k])
+    }
+    return a
+  }, {})
+}
+
+// Parses one data line of a VCF file. Header lines and blank lines return null.
+// Args:
+//   s - the line
+//   returnObject - if true, returns an object (see record2object), otherwise the record (array).
+//   header - optional. The parsed header.
+function parseLine (s, returnObject, header) {
+    if (s === "" || s.startsWith(HASH)) return null
+    const fields = s.split(TAB)
+    if (fields.length < 8) throw `Expected at least 8 columns, found ${fields.length}`
+    fields[pos] = parseInt(fields[pos])
+    if (isNaN(fields[pos])) throw `Bad POS value`
+    fields[alt] = fields[alt] === '.' ? [] : fields[alt].split(COMMA)
+    fields[qual] = fields[qual] === '.' ? null : parseFloat(fields[qual])
+    fields[info] = parseAttributes(fields[info], header)
+    if (fields.length > format) {
+      const keys = fields[format].split(COLON)
+      fields[format] = keys
+      for (let i = firstSample; i < fields.length; i++) {
+        fields[i] = parseSample(fields[i], keys, header)
+      }
+    }
+    return returnObject ? record2object(fields, header) : fields
+}
+
+// Turns a parsed VCF line (array) into an object with named fields. The samples field maps
+// sample names (from the header, if any, otherwise sample1, sample2, ...) to their parsed values.
+function record2object (r, header) {
+    const names = header && header.samples.length ? header.samples : []
+    const samples = {}
+    for (let i = firstSample; i < r.length; i++) {
+      samples[names[i - firstSample] || `sample${i - firstSample + 1}`] = r[i]
+    }
     return {
       chrom: r[chrom],
       pos: r[pos],
@@ -24,38 +215,56 @@ function record2object (r) {
       alt: r[alt],
       qual: r[qual],
       filter: r[filter],
-      info: r[info]
+      info: r[info],
+      format: r[format] || [],
+      samples: samples
     }
 }
 
-// Parses the value in an attributes column (INFO, FILTER, ...) into an object
-function parseAttributes (s) {
-    return s.split(SEMI).reduce((a,v) => {
-        // 'somevar="somevalue,somevalue,..."
-        const i = v.indexOf(EQ)
-        if (i === -1) {
-          a[v] = true
-        } else {
-          const n = v.substr(0,i)
-          const val = v.substr(i+1).slice(1,-1)
-          a[n] = val
-        }
-        return a
-    }, {})
-}
-
-function parseLine (s, returnObject) {
-    if (s === "" || s.startsWith(HASH)) return null
-    const fields = s.split(TAB)
-    fields[pos] = parseInt(fields[pos])
-    fields[info] = parseAttributes(fields[info])
-    return returnObject ? record2object(fields) : fields
+// Parses the contents of a VCF file. Returns { header, records }.
+// Errors are thrown with the line number where they occurred.
+function parse (s, returnObjects) {
+  const lines = s.split(NL)
+  const hlines = []
+  let i = 0
+  while (i < lines.length && lines[i].startsWith(HASH)) hlines.push(lines[i++])
+  const header = parseHeader(hlines)
+  const records = []
+  for (; i < lines.length; i++) {
+    try {
+      const r = parseLine(lines[i], returnObjects, header)
+      if (r) records.push(r)
+    } catch (e) {
+      throw `VCF parse error at line ${i + 1}: ${e}`
+    }
+  }
+  return { header, records }
 }
 
-function parseFile (s, returnObjects) {
-    return s.split(NL).map(l => parseLine(l, returnObjects)).filter(l=>l)
+// Parses the contents of a VCF file, returning the list of records. If the text includes
+// header lines, they are used to type the values. Otherwise a header can be passed in, eg
+// for parsing a chunk of a larger file.
+function parseFile (s, returnObjects, header) {
+  if (header) {
+    return s.split(NL).map((l, i) => {
+      try {
+        return parseLine(l, returnObjects, header)
+      } catch (e) {
+        throw `VCF parse error at line ${i + 1}: ${e}`
+      }
+    }).filter(l => l)
+  }
+  return parse(s, returnObjects).records
 }
 
 export default {
-  parseFile
+  parse,
+  parseFile,
+  parseHeader,
+  parseLine,
+  parseAttributes,
+  parseGenotype,
+  genotypeClass,
+  genotypeKey,
+  record2object
 }
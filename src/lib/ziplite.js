@@ -0,0 +1,82 @@
+/*
+ * ziplite.js
+ *
+ * Reads the contents of zip files (in memory), eg for importing a data bundle.
+ * Supports stored and deflated entries. Does not support zip64, encryption, or multi-part archives.
+ * See: https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+ */
+import u from '@/lib/utils'
+
+const EOCD_SIG = 0x06054b50 // end of central directory record
+const CDH_SIG = 0x02014b50 // central directory file header
+const LFH_SIG = 0x04034b50 // local file header
+const EOCD_SIZE = 22
+const MAX_COMMENT = 65535
+const STORED = 0
+const DEFLATED = 8
+
+// Finds the end of central directory record, which is at the end of the file, followed
+// by an optional comment. Returns its offset.
+function findEocd (dv) {
+  const min = Math.max(0, dv.byteLength - EOCD_SIZE - MAX_COMMENT)
+  for (let i = dv.byteLength - EOCD_SIZE; i >= min; i--) {
+    if (dv.getUint32(i, true) === EOCD_SIG) return i
+  }
+  u.fail('Not a zip file (no end of central directory record).')
+}
+
+// Returns the list of entries in a zip file. Each entry is:
+//    { name, method, compressedSize, size, offset, isDirectory }
+// where offset is the offset of the entry's local header.
+// Args:
+//   buf (ArrayBuffer) contents of the zip file
+function readEntries (buf) {
+  const dv = new DataView(buf)
+  const eocd = findEocd(dv)
+  const count = dv.getUint16(eocd + 10, true)
+  let pos = dv.getUint32(eocd + 16, true)
+  if (pos === 0xffffffff) u.fail('Zip64 files are not supported.')
+  const decoder = new TextDecoder()
+  const entries = []
+  for (let i = 0; i < count; i++) {
+    if (dv.getUint32(pos, true) !== CDH_SIG) u.fail(`Bad zip central directory entry at ${pos}`)
+    const nameLen = dv.getUint16(pos + 28, true)
+    const extraLen = dv.getUint16(pos + 30, true)
+    const commentLen = dv.getUint16(pos + 32, true)
+    const name = decoder.decode(new Uint8Array(buf, pos + 46, nameLen))
+    entries.push({
+      name: name,
+      method: dv.getUint16(pos + 10, true),
+      compressedSize: dv.getUint32(pos + 20, true),
+      size: dv.getUint32(pos + 24, true),
+      offset: dv.getUint32(pos + 42, true),
+      isDirectory: name.endsWith('/')
+    })
+    pos += 46 + nameLen + extraLen + commentLen
+  }
+  return entries
+}
+
+// Returns a promise for the (uncompressed) contents of an entry, as an ArrayBuffer.
+// Args:
+//   buf (ArrayBuffer) contents of the zip file
+//   entry (object) one of the entries returned by readEntries
+function extract (buf, entry) {
+  const dv = new DataView(buf)
+  if (dv.getUint32(entry.offset, true) !== LFH_SIG) return Promise.reject(`Bad zip local header for ${entry.name}`)
+  const start = entry.offset + 30 + dv.getUint16(entry.offset + 26, true) + dv.getUint16(entry.offset + 28, true)
+  const data = buf.slice(start, start + entry.compressedSize)
+  switch (entry.method) {
+  case STORED:
+    return Promise.resolve(data)
+  case DEFLATED:
+    return u.inflate(data, 'deflate-raw')
+  default:
+    return Promise.reject(`Unsupported zip compression method (${entry.method}) for ${entry.name}`)
+  }
+}
+
+export default {
+  readEntries,
+  extract
+}
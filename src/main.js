@@ -1,11 +1,15 @@
 import Vue from 'vue'
 import App from './App.vue'
 import u from '@/lib/utils'
+import { getDataSource } from '@/lib/DataSource'
 
 Vue.config.productionTip = false
 
 u.fetch('./runtimeConfig.json', 'json').then(cfg => {
-  const r = new Vue({ render: h => h(App) })
-  r.config = cfg 
-  r.$mount('#app')
+  return getDataSource(cfg).then(ds => {
+    const r = new Vue({ render: h => h(App) })
+    r.config = cfg 
+    r.dataSource = ds
+    r.$mount('#app')
+  })
 })
@@ -2,6 +2,16 @@ const path = require('path')
 const projectRoot = path.resolve(__dirname)
 module.exports = {
   publicPath: '',
+  chainWebpack: config => {
+    // Files named *.worker.js are bundled as Web Workers (see FeatureWorker)
+    config.module
+      .rule('worker')
+      .test(/\.worker\.js$/)
+      .use('worker-loader')
+      .loader('worker-loader')
+    // Webpack's runtime in workers must not refer to window
+    config.output.globalObject('this')
+  },
   configureWebpack: {
     resolve: {
       alias: {